@@ -0,0 +1,134 @@
+/*
+  Hymn Haven cues
+  Reading and writing timed lyrics (LRC and WebVTT) and matching cues to the
+  blocks of a hymn's sung order. Loading, playback and tap-along recording
+  live in script.js.
+*/
+
+// ---------- Cue files ----------
+// A cue whose text is a block label ("2", "Stanza 2", "Refrain", "Chorus")
+// starts that block; any other cue times the next line.
+const CUE_LABEL_RE = /^(?:(?:stanza|verse)\s*)?(\d+)\.?$|^(refrain|chorus):?$/i;
+
+// "mm:ss", "mm:ss.xx" or "hh:mm:ss.mmm" -> seconds
+function parseCueTime(text) {
+    const parts = String(text).trim().replace(',', '.').split(':').map(Number);
+    if (parts.length < 2 || parts.some(n => !Number.isFinite(n))) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+// [mm:ss.xx]text — several stamps may share a line; [offset:ms] shifts them all
+function parseLrc(text) {
+    const cues = [];
+    let offset = 0;
+    for (const raw of text.split(/\r?\n/)) {
+        const meta = /^\[offset:\s*([+-]?\d+)\]/i.exec(raw.trim());
+        if (meta) {
+            offset = Number(meta[1]) / 1000;
+            continue;
+        }
+        const stamps = [];
+        let rest = raw.trim();
+        let m;
+        while ((m = /^\[(\d+:\d+(?:\.\d+)?)\]/.exec(rest))) {
+            stamps.push(parseCueTime(m[1]));
+            rest = rest.slice(m[0].length);
+        }
+        for (const time of stamps) {
+            if (time !== null) cues.push({ time, text: rest.trim() });
+        }
+    }
+    // a positive offset means the lyrics come earlier
+    return cues.map(c => ({ ...c, time: Math.max(0, c.time - offset) })).sort((a, b) => a.time - b.time);
+}
+
+// WEBVTT header, then blocks of "[id]\nstart --> end\ntext…"
+function parseVtt(text) {
+    const cues = [];
+    for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+        const lines = block.split('\n').filter(l => l.trim());
+        const timing = lines.findIndex(l => l.includes('-->'));
+        if (timing === -1) continue;
+        const [start, end] = lines[timing].split('-->').map(part => parseCueTime(part.trim().split(/\s+/)[0]));
+        if (start === null) continue;
+        const cueText = lines.slice(timing + 1).join(' ').replace(/<[^>]*>/g, '').trim();
+        cues.push({ time: start, end: end === null ? undefined : end, text: cueText });
+    }
+    return cues.sort((a, b) => a.time - b.time);
+}
+
+function parseCues(text, fileName = '') {
+    if (/^\uFEFF?WEBVTT/.test(text) || /\.vtt$/i.test(fileName)) return parseVtt(text);
+    return parseLrc(text);
+}
+
+// attach each cue to a block key (and line index, null for a whole block);
+// order and keys are a hymn's sungOrder() and sungBlockKeys() (lyrics.js)
+function alignCues(cues, order, keys) {
+    const aligned = [];
+    let block = 0;        // block the next line cue falls in
+    let line = 0;         // ...and its line
+    let started = false;  // whether a cue already landed in `block`
+    for (const cue of cues) {
+        const label = CUE_LABEL_RE.exec(cue.text);
+        if (label) {
+            const from = started ? block + 1 : block;
+            const at = order.findIndex((b, i) => i >= from && (label[2]
+                ? b.type === 'refrain'
+                : b.type === 'stanza' && b.number === Number(label[1])));
+            if (at === -1) continue;
+            aligned.push({ time: cue.time, end: cue.end, key: keys[at], line: null });
+            block = at;
+            line = 0;
+            started = true;
+            continue;
+        }
+        if (block >= order.length) continue;
+        aligned.push({ time: cue.time, end: cue.end, key: keys[block], line });
+        started = true;
+        if (++line >= order[block].lines.length) {
+            block++;
+            line = 0;
+            started = false;
+        }
+    }
+    return aligned;
+}
+
+// the cue sounding at `time` (none before the first cue or inside a VTT gap)
+function cueAt(cues, time) {
+    let found = null;
+    for (const cue of cues) {
+        if (cue.time > time) break;
+        found = cue;
+    }
+    return found && found.end !== undefined && time >= found.end ? null : found;
+}
+
+// ---------- Cue export ----------
+const pad2 = (n) => String(n).padStart(2, '0');
+const formatLrcTime = (seconds) => `${pad2(Math.floor(seconds / 60))}:${pad2(Math.floor(seconds % 60))}.${pad2(Math.floor((seconds % 1) * 100))}`;
+const formatVttTime = (seconds) => `${pad2(Math.floor(seconds / 3600))}:${pad2(Math.floor((seconds % 3600) / 60))}:${pad2(Math.floor(seconds % 60))}.${String(Math.floor((seconds % 1) * 1000)).padStart(3, '0')}`;
+
+// [ti:Title] and one [mm:ss.xx]line per cue
+function formatLrc(cues, title) {
+    const lines = cues.map(cue => `[${formatLrcTime(cue.time)}]${cue.text}`);
+    return `[ti:${title}]\n${lines.join('\n')}\n`;
+}
+
+// each cue lasts until the next; the last one until `duration` (or 5 s)
+function formatVtt(cues, title, duration) {
+    const blocks = cues.map((cue, i) => {
+        const end = cues[i + 1] ? cues[i + 1].time : (duration || cue.time + 5);
+        return `${formatVttTime(cue.time)} --> ${formatVttTime(end)}\n${cue.text}`;
+    });
+    return `WEBVTT - ${title}\n\n${blocks.join('\n\n')}\n`;
+}
+
+// Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CUE_LABEL_RE, parseCueTime, parseLrc, parseVtt, parseCues, alignCues, cueAt,
+        formatLrcTime, formatVttTime, formatLrc, formatVtt
+    };
+}
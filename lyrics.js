@@ -0,0 +1,133 @@
+/*
+  Hymn Haven lyrics parser
+  Shared by the app (loaded before script.js) and by tools/validate-data.js,
+  so it must stay free of DOM and browser APIs.
+*/
+
+// ---------- Lyrics Parsing ----------
+// Lyrics files look like:
+//   NNN – Title
+//   (blank lines)
+//   1
+//   stanza lines...
+//   (blank line)
+//   Refrain
+//   refrain lines...
+// Short service music (e.g. doxologies) has no stanza numbers at all.
+const LYRICS_HEADER_RE = /^(\d+)\s*[–—-]\s*(.+)$/;
+const STANZA_NUMBER_RE = /^\d+$/;
+const REFRAIN_LABEL_RE = /^(refrain|chorus):?$/i;
+
+// Parse raw lyrics text into { header, blocks, stanzas, refrain, issues }.
+// blocks keeps source order (some hymns open with the refrain); each stanza
+// also gets the refrain sung after it. issues are { code, message }.
+function parseLyrics(text) {
+    const model = { header: null, blocks: [], stanzas: [], refrain: null, issues: [] };
+    const issue = (code, message) => model.issues.push({ code, message });
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+    let start = 0;
+    while (start < lines.length && !lines[start].trim()) start++;
+    const headerMatch = (lines[start] || '').trim().match(LYRICS_HEADER_RE);
+    if (headerMatch) {
+        model.header = { number: Number(headerMatch[1]), title: headerMatch[2].trim() };
+        start++;
+    } else {
+        issue('missing-header', 'Missing "NNN – Title" header line');
+    }
+
+    // split the remaining text into blank-line separated paragraphs
+    const paragraphs = [];
+    let current = [];
+    for (const line of lines.slice(start)) {
+        if (line.trim()) {
+            current.push(line.trim());
+        } else if (current.length) {
+            paragraphs.push(current);
+            current = [];
+        }
+    }
+    if (current.length) paragraphs.push(current);
+
+    const isNumbered = paragraphs.some(p => STANZA_NUMBER_RE.test(p[0]));
+    let expected = 1;
+    for (const para of paragraphs) {
+        const first = para[0];
+        if (REFRAIN_LABEL_RE.test(first)) {
+            const block = { type: 'refrain', lines: para.slice(1) };
+            if (!block.lines.length) issue('empty-refrain', 'Empty refrain block');
+            model.blocks.push(block);
+            if (!model.refrain) model.refrain = block.lines;
+            continue;
+        }
+
+        let number = null;
+        let body = para;
+        if (STANZA_NUMBER_RE.test(first)) {
+            number = Number(first);
+            body = para.slice(1);
+            if (number !== expected) {
+                issue('stanza-sequence', `Stanza ${number} found where stanza ${expected} was expected`);
+            }
+            expected = number + 1;
+            if (!body.length) issue('empty-stanza', `Stanza ${number} has no lines`);
+        } else if (isNumbered) {
+            // unnumbered text is only expected when the whole hymn is unnumbered
+            issue('unnumbered-text', `Unnumbered text: "${first}"`);
+        }
+
+        const stanza = { type: 'stanza', number, lines: body, refrain: null };
+        model.blocks.push(stanza);
+        model.stanzas.push(stanza);
+    }
+
+    // Printed hymnals sing the refrain after every stanza. A refrain written out
+    // after a stanza belongs to it; otherwise repeat the most recent one.
+    let lastRefrain = model.refrain;
+    model.blocks.forEach((block, idx) => {
+        if (block.type !== 'stanza') return;
+        const next = model.blocks[idx + 1];
+        if (next && next.type === 'refrain') lastRefrain = next.lines;
+        block.refrain = lastRefrain;
+    });
+
+    if (!model.stanzas.length) issue('no-stanzas', 'No stanzas found');
+    return model;
+}
+
+// The order a congregation sings a parsed hymn: a refrain printed before
+// stanza 1 first, then every stanza followed by its refrain.
+// stanzaNumbers optionally limits which numbered stanzas are sung.
+function sungOrder(model, stanzaNumbers) {
+    const order = [];
+    for (const block of model.blocks) {
+        if (block.type === 'stanza') break;
+        if (block.lines.length) order.push(block);
+    }
+    for (const stanza of model.stanzas) {
+        if (stanzaNumbers && stanzaNumbers.length && stanza.number !== null
+            && !stanzaNumbers.includes(stanza.number)) continue;
+        order.push(stanza);
+        if (stanza.refrain && stanza.refrain.length) order.push({ type: 'refrain', lines: stanza.refrain });
+    }
+    return order;
+}
+
+// a stable key for each block of a sung order, the same whichever stanzas are
+// sung: s<i> for model.stanzas[i], r<i> for its refrain, b<i> for model.blocks[i]
+// sung before stanza 1
+function sungBlockKeys(model, order) {
+    let stanzaIndex = -1;
+    return order.map(block => {
+        if (block.type === 'stanza') {
+            stanzaIndex = model.stanzas.indexOf(block);
+            return `s${stanzaIndex}`;
+        }
+        return stanzaIndex === -1 ? `b${model.blocks.indexOf(block)}` : `r${stanzaIndex}`;
+    });
+}
+
+// Node (tools/validate-data.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LYRICS_HEADER_RE, STANZA_NUMBER_RE, REFRAIN_LABEL_RE, parseLyrics, sungOrder, sungBlockKeys };
+}
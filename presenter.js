@@ -0,0 +1,84 @@
+/*
+  Presenter view for Hymn Haven's presentation mode.
+  - Opened from the presentation controls in a second window
+  - Mirrors the main window over a BroadcastChannel (see script.js)
+  - Shows the current and next slide; navigation is sent back to the main window
+*/
+
+const channel = ('BroadcastChannel' in window) ? new BroadcastChannel('hymn-haven-presentation') : null;
+const currentSlideEl = document.getElementById('current-slide');
+const nextSlideEl = document.getElementById('next-slide');
+const counterEl = document.getElementById('counter');
+const clockEl = document.getElementById('clock');
+
+let state = { active: false, slides: [], index: 0, blackout: false };
+
+function escapeHtml(text) {
+    if (!text) return '';
+    return String(text).replace(/[&<>"']/g, (m) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+}
+
+// keep in step with renderSlide() in script.js so style.css applies to both
+function renderSlide(slide, el) {
+    el.className = `slide slide-${slide ? slide.kind : 'blank'}`;
+    el.innerHTML = '';
+    if (!slide || slide.kind === 'blank') return;
+    if (slide.kind === 'title') {
+        el.innerHTML = `
+            <div class="slide-number">${slide.hymnId}</div>
+            <div class="slide-heading">${escapeHtml(slide.title)}</div>
+        `;
+        return;
+    }
+    el.innerHTML = `
+        ${slide.label ? `<span class="slide-label">${escapeHtml(slide.label)}</span>` : ''}
+        <div class="slide-lines">${slide.lines.map(line => `<span class="slide-line">${escapeHtml(line)}</span>`).join('<br>')}</div>
+        <div class="slide-footer">${slide.hymnId} – ${escapeHtml(slide.title)}</div>
+    `;
+}
+
+function render() {
+    if (!state.active || !state.slides.length) {
+        renderSlide(null, currentSlideEl);
+        renderSlide(null, nextSlideEl);
+        counterEl.textContent = 'Waiting for presentation…';
+        return;
+    }
+    renderSlide(state.blackout ? null : state.slides[state.index], currentSlideEl);
+    renderSlide(state.slides[state.index + 1], nextSlideEl);
+    counterEl.textContent = `${state.index + 1} / ${state.slides.length}${state.blackout ? ' · black screen' : ''}`;
+}
+
+const send = (msg) => { if (channel) channel.postMessage(msg); };
+const go = (delta) => send({ type: 'goto', index: state.index + delta });
+
+function updateClock() {
+    clockEl.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+if (channel) {
+    channel.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'state') {
+            state = e.data;
+            render();
+        }
+    });
+    send({ type: 'hello' });
+} else {
+    counterEl.textContent = 'Presenter view is not supported in this browser';
+}
+
+document.getElementById('prev-btn').addEventListener('click', () => go(-1));
+document.getElementById('next-btn').addEventListener('click', () => go(1));
+document.getElementById('blackout-btn').addEventListener('click', () => send({ type: 'blackout' }));
+document.addEventListener('keydown', (e) => {
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'].includes(e.key)) go(1);
+    else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'].includes(e.key)) go(-1);
+    else if (['b', 'B', '.'].includes(e.key)) send({ type: 'blackout' });
+    else return;
+    e.preventDefault();
+});
+
+updateClock();
+setInterval(updateClock, 15000);
+render();
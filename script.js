@@ -53,30 +53,62 @@ That saved a wretch like me! ...`,
 // ---------- App State ----------
 let hymns = [];                      // loaded from data/hymns.json (or fallback)
 const lyricsCache = new Map();       // lazy-loaded lyrics cache keyed by hymn.id
+const parsedLyricsCache = new Map(); // parseLyrics() models keyed by hymn.id
+const missingLyrics = new Set();     // hymn ids whose lyrics file failed to load (tried again later)
 let currentHymn = null;
 const audio = new Audio();
 let isPlaying = false;
-let favorites = JSON.parse(localStorage.getItem('favorites')) || [];
-let notes = JSON.parse(localStorage.getItem('notes')) || {};
-let moods = JSON.parse(localStorage.getItem('moods')) || {};
-let currentMoodFilter = 'all';
+// user data — loaded by storage.init() and kept current by storage subscriptions
+let favorites = [];
+let notes = {};
+let moods = {};                      // hymn.id -> the user's tag ids (see Tags)
+let customTags = [];
+let services = [];
+let listeningHistory = [];           // views and plays, see History
+let currentTagFilter = { tags: [], match: 'any' };   // mood page; no tags lists every hymn
+let currentServiceId = null;         // service open in the Services page editor
 
 // ---------- Elements (grab once) ----------
 const hymnsContainer = document.getElementById('hymns-container');
 const favoritesContainer = document.getElementById('favorites-container');
-const notesContainer = document.getElementById('notes-container');
+const notesList = document.getElementById('notes-list');
+const notesSearch = document.getElementById('notes-search');
 const moodContainer = document.getElementById('mood-container');
+const moodPage = document.getElementById('mood-page');
 const hymnDetail = document.getElementById('hymn-detail');
+const hymnMeta = document.getElementById('hymn-meta');
+const metadataForm = document.getElementById('metadata-form');
+const topicsPage = document.getElementById('topics-page');
+const topicIndex = document.getElementById('topic-index');
+const topicsContainer = document.getElementById('topics-container');
+const cueRecorder = document.getElementById('cue-recorder');
+const cueRecorderHint = document.getElementById('cue-recorder-hint');
 const detailTitle = document.getElementById('detail-title');
+const detailPrevBtn = document.getElementById('detail-prev');
+const detailNextBtn = document.getElementById('detail-next');
 const lyricsContainer = document.getElementById('lyrics-container');
+const lyricsLanguages = document.getElementById('lyrics-languages');
+const lyricsLangSelect = document.getElementById('lyrics-lang');
+const lyricsParallelSelect = document.getElementById('lyrics-parallel');
 const playBtn = document.getElementById('play-btn');
 const progressBar = document.getElementById('progress-bar');
 const progressContainer = document.getElementById('progress-container');
+const loopRegion = document.getElementById('loop-region');
+const practiceControls = document.getElementById('practice-controls');
+const practiceBtn = document.getElementById('practice-btn');
+const playbackRateSelect = document.getElementById('playback-rate');
+const loopStatus = document.getElementById('loop-status');
+const loopClearBtn = document.getElementById('loop-clear-btn');
 const currentTimeEl = document.getElementById('current-time');
 const durationEl = document.getElementById('duration');
 const favoriteBtn = document.getElementById('favorite-btn');
 const notesBtn = document.getElementById('notes-btn');
 const notesModal = document.getElementById('notes-modal');
+const notesTitle = document.getElementById('notes-title');
+const noteEntriesList = document.getElementById('note-entries');
+const noteAnchorSelect = document.getElementById('note-anchor');
+const noteFormatBar = document.getElementById('note-format');
+const notesUndo = document.getElementById('notes-undo');
 const notesTextarea = document.getElementById('notes-textarea');
 const notesSave = document.getElementById('notes-save');
 const notesCancel = document.getElementById('notes-cancel');
@@ -87,13 +119,100 @@ const searchBtn = document.getElementById('search-btn');
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toast-message');
 const themeToggle = document.getElementById('theme-toggle');
+const displayThemeOptions = document.getElementById('display-theme');
+const contrastInput = document.getElementById('display-contrast');
+const fontScaleInput = document.getElementById('font-scale');
+const fontScaleValue = document.getElementById('font-scale-value');
+const lineSpacingInput = document.getElementById('line-spacing');
+const lineSpacingValue = document.getElementById('line-spacing-value');
+const uiLanguageSelect = document.getElementById('ui-language');
+const lyricsLanguageSelect = document.getElementById('lyrics-language');
+const parallelLanguageSelect = document.getElementById('parallel-language');
+const languageStatus = document.getElementById('language-status');
 const navItems = document.querySelectorAll('.nav-item');
 const pages = document.querySelectorAll('.page');
 const miniPlayer = document.getElementById('mini-player');
 const miniPlayerTitle = document.getElementById('mini-player-title');
 const miniPlayBtn = document.getElementById('mini-play-btn');
 const miniPlayerClose = document.getElementById('mini-player-close');
-const moodOptions = document.querySelectorAll('.mood-option');
+const miniPrevBtn = document.getElementById('mini-prev-btn');
+const miniNextBtn = document.getElementById('mini-next-btn');
+const miniRepeatBtn = document.getElementById('mini-repeat-btn');
+const miniQueueBtn = document.getElementById('mini-queue-btn');
+const miniSeek = document.getElementById('mini-seek');
+const miniCurrentTimeEl = document.getElementById('mini-current-time');
+const miniDurationEl = document.getElementById('mini-duration');
+const queuePanel = document.getElementById('queue-panel');
+const queueList = document.getElementById('queue-list');
+const importModal = document.getElementById('import-modal');
+const importSummary = document.getElementById('import-summary');
+const tagFilterOptions = document.getElementById('tag-filter');
+const tagMatchToggle = document.getElementById('tag-match');
+const detailTagOptions = document.getElementById('detail-tags');
+const customTagsList = document.getElementById('custom-tags');
+const recentStrip = document.getElementById('recent-strip');
+const recentList = document.getElementById('recent-list');
+const statsPage = document.getElementById('stats-page');
+const statsRange = document.getElementById('stats-range');
+const statsSummary = document.getElementById('stats-summary');
+const statsChart = document.getElementById('stats-chart');
+const mostSungList = document.getElementById('most-sung');
+const staleWeeksInput = document.getElementById('stale-weeks');
+const staleNeverInput = document.getElementById('stale-never');
+const staleList = document.getElementById('stale-list');
+const historyStatus = document.getElementById('history-status');
+const offlineAudioBtn = document.getElementById('offline-audio-btn');
+const offlineStatus = document.getElementById('offline-status');
+const presentBtn = document.getElementById('present-btn');
+const addToServiceBtn = document.getElementById('add-to-service-btn');
+const servicesPage = document.getElementById('services-page');
+const servicesList = document.getElementById('services-list');
+const serviceForm = document.getElementById('service-form');
+const serviceEditor = document.getElementById('service-editor');
+const presentation = document.getElementById('presentation');
+const presentationSlideEl = document.getElementById('presentation-slide');
+const presentationCounter = document.getElementById('presentation-counter');
+const printModal = document.getElementById('print-modal');
+const dailyHymnEl = document.getElementById('daily-hymn');
+const dailyBody = document.getElementById('daily-body');
+const dailyDateEl = document.getElementById('daily-date');
+const dailyHistoryToggle = document.getElementById('daily-history-toggle');
+const dailyHistoryEl = document.getElementById('daily-history');
+const dailySourceSelect = document.getElementById('daily-source');
+const dailyNotifyInput = document.getElementById('daily-notify');
+const dailyTimeInput = document.getElementById('daily-time');
+const dailyStatus = document.getElementById('daily-status');
+const shareModal = document.getElementById('share-modal');
+const shareHymnEl = document.getElementById('share-hymn');
+const shareLinesEl = document.getElementById('share-lines');
+const shareThemes = document.getElementById('share-themes');
+const shareCanvas = document.getElementById('share-canvas');
+const shareShareBtn = document.getElementById('share-text');
+const shareImageBtn = document.getElementById('share-image');
+const printLayouts = document.getElementById('print-layouts');
+const printItemsList = document.getElementById('print-items');
+const printSheetEl = document.getElementById('print-sheet');
+const keypadModal = document.getElementById('keypad-modal');
+const keypadDisplay = document.getElementById('keypad-display');
+const keypadPreview = document.getElementById('keypad-preview');
+const keypadGo = document.getElementById('keypad-go');
+const recordedFilterBtn = document.getElementById('recorded-filter');
+const userRecordingRow = document.getElementById('user-recording');
+const userRecordingStatus = document.getElementById('user-recording-status');
+const userRecordingAddBtn = document.getElementById('user-recording-add');
+const userRecordingRemoveBtn = document.getElementById('user-recording-remove');
+const pitchPipe = document.getElementById('pitch-pipe');
+const pitchPipeBtn = document.getElementById('pitch-pipe-btn');
+const pitchPipeKey = document.getElementById('pitch-pipe-key');
+const pitchNotes = document.getElementById('pitch-notes');
+const pitchNoteBtn = document.getElementById('pitch-note-btn');
+const pitchChordBtn = document.getElementById('pitch-chord-btn');
+const metronomeTempo = document.getElementById('metronome-tempo');
+const metronomeTempoValue = document.getElementById('metronome-tempo-value');
+const metronomeTime = document.getElementById('metronome-time');
+const metronomeCountIn = document.getElementById('metronome-count-in');
+const metronomeToggle = document.getElementById('metronome-toggle');
+const metronomeBeats = document.getElementById('metronome-beats');
 
 // optional loader in HTML (if you have one)
 const loader = document.querySelector('.loader');
@@ -118,6 +237,25 @@ const throttle = (fn, limit = 100) => {
     };
 };
 
+// run an async fn over items with at most `limit` in flight
+const forEachConcurrent = async (items, limit, fn) => {
+    const queue = items.slice();
+    const worker = async () => {
+        while (queue.length) await fn(queue.shift());
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, queue.length) }, worker));
+};
+
+// a timestamp plus a random suffix, so ids made in the same millisecond
+// (or in two synced tabs) don't collide
+const uniqueId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const formatBytes = (bytes = 0) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const showToast = (() => {
     let lastTimeout = null;
     return (message, ms = 1500) => {
@@ -135,30 +273,172 @@ const formatTime = (seconds = 0) => {
     return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
 };
 
+// ---------- Localization ----------
+// UI text is written in English in index.html and script.js. t() looks it up
+// in locales/<lang>.json, which maps the English text to its translation;
+// {placeholders} are filled in afterwards. tn() picks a plural form: the
+// locale maps the English plural to { one, other, … } keyed by the
+// Intl.PluralRules categories of that language. In index.html, data-i18n
+// marks elements whose text is translated and data-i18n-attr lists the
+// attributes (placeholder, title, aria-label) translated with it.
+const UI_LOCALES = { en: 'English', fr: 'Français', es: 'Español' };
+let uiLocale = 'en';
+let localeStrings = {};              // English text -> translation in uiLocale
+const i18nSources = new WeakMap();   // element -> its English text and attributes
+
+const fillPlaceholders = (text, vars) => (vars
+    ? text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match))
+    : text);
+
+function t(text, vars) {
+    const translated = localeStrings[text];
+    return fillPlaceholders(typeof translated === 'string' ? translated : text, vars);
+}
+
+function tn(one, other, count, vars) {
+    const forms = localeStrings[other];
+    const all = { count, ...vars };
+    if (forms && typeof forms === 'object') {
+        const form = forms[new Intl.PluralRules(uiLocale).select(count)] || forms.other;
+        if (typeof form === 'string') return fillPlaceholders(form, all);
+    }
+    return fillPlaceholders(count === 1 ? one : other, all);
+}
+
+// dates keep the browser's own English (en-GB, en-US…) unless another UI language is chosen
+const dateLocale = () => (uiLocale === 'en' ? undefined : uiLocale);
+
+async function loadLocale(lang) {
+    uiLocale = UI_LOCALES[lang] ? lang : 'en';
+    localeStrings = {};
+    document.documentElement.lang = uiLocale;
+    if (uiLocale === 'en') return;
+    try {
+        const res = await fetch(`locales/${uiLocale}.json`);
+        if (res.ok) localeStrings = await res.json();
+    } catch (err) {
+        console.warn(`Could not load the ${UI_LOCALES[uiLocale]} translation`, err);
+    }
+}
+
+// translate data-i18n elements from the English they had in index.html
+function translatePage() {
+    document.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(el => {
+        if (!i18nSources.has(el)) {
+            // the last text node, so icons before the text stay in place
+            const node = el.hasAttribute('data-i18n')
+                ? [...el.childNodes].reverse().find(n => n.nodeType === Node.TEXT_NODE && n.nodeValue.trim())
+                : null;
+            const attrs = {};
+            (el.dataset.i18nAttr || '').split(',').map(a => a.trim()).filter(Boolean)
+                .forEach(name => { attrs[name] = el.getAttribute(name); });
+            i18nSources.set(el, { node, raw: node ? node.nodeValue : '', attrs });
+        }
+        const { node, raw, attrs } = i18nSources.get(el);
+        if (node) node.nodeValue = raw.replace(raw.trim(), t(raw.trim()));
+        for (const [name, value] of Object.entries(attrs)) {
+            if (value !== null) el.setAttribute(name, t(value));
+        }
+    });
+}
+
+// ---------- Storage ----------
+// All saved user data goes through `storage` (storage.js): IndexedDB with an
+// in-memory copy for synchronous reads. Every value is validated on load, so
+// a corrupt entry is set aside and reset instead of crashing startup. set()
+// notifies subscribers in this tab and in other tabs.
+//
+// Schema versions:
+//   1 — each key JSON-encoded in localStorage (before IndexedDB)
+//   2 — IndexedDB "kv" store
+//   3 — notes are lists of entries instead of one string per hymn
+//   4 — moods are lists of tag ids; adds customTags
+//   5 — "display" settings replace the darkMode flag
+const STORAGE_SCHEMA_VERSION = 5;
+
+const storedKeys = {
+    favorites: { fallback: () => [], valid: Array.isArray },
+    notes: { fallback: () => ({}), valid: isListMap },
+    moods: { fallback: () => ({}), valid: isListMap },
+    customTags: { fallback: () => [], valid: Array.isArray },
+    services: { fallback: () => [], valid: Array.isArray },
+    display: { fallback: () => ({ ...DISPLAY_DEFAULTS }), valid: isPlainObject },
+    metadata: { fallback: () => ({}), valid: isPlainObject },
+    history: { fallback: () => [], valid: Array.isArray },
+    language: { fallback: () => ({ ...LANGUAGE_DEFAULTS }), valid: isPlainObject },
+    audioChecks: { fallback: () => ({}), valid: isPlainObject },
+    metronome: { fallback: () => ({ ...METRONOME_DEFAULTS }), valid: isPlainObject },
+    practice: { fallback: () => ({ ...PRACTICE_DEFAULTS }), valid: isPlainObject },
+    positions: { fallback: () => ({}), valid: isPlainObject },
+    daily: { fallback: () => ({ ...DAILY_DEFAULTS }), valid: isPlainObject },
+    dailyHistory: { fallback: () => [], valid: Array.isArray }
+};
+
+// keys older versions saved, still read so the migrations can carry them over
+const retiredKeys = ['darkMode'];
+
+// data migrations, keyed by the version they upgrade from; each gets and
+// returns a plain { key: value } object
+const storageMigrations = {
+    2: (data) => ({ ...data, notes: migrateNotes(data.notes) }),
+    3: (data) => ({ ...data, moods: migrateMoods(data.moods) }),
+    4: ({ darkMode, ...data }) => ({
+        ...data,
+        display: { ...DISPLAY_DEFAULTS, theme: typeof darkMode === 'boolean' ? (darkMode ? 'dark' : 'light') : 'system' }
+    })
+};
+
+const storage = createStorage({
+    version: STORAGE_SCHEMA_VERSION,
+    keys: storedKeys,
+    retiredKeys,
+    migrations: storageMigrations,
+    onSaveError: () => showToast(t('Could not save your changes'))
+});
+
 // ---------- Rendering Helpers ----------
-function createHymnCardDOM(hymn) {
+function createHymnCardDOM(hymn, match) {
     // Returns an element for a hymn card (minimal markup)
+    // match: optional searchHymns() result whose matching line replaces the preview
     const card = document.createElement('div');
     card.className = 'hymn-card';
     card.dataset.id = hymn.id;
+    // focusable so Enter opens it (see Keyboard activation)
+    card.tabIndex = 0;
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', `${hymn.id} – ${hymn.title}`);
+    // no recording: the play and queue buttons are hidden (see Recordings)
+    if (!canPlay(hymn)) card.classList.add('no-audio');
 
     const favActive = favorites.includes(hymn.id) ? ' active' : '';
-    const preview = (hymn.lyrics || lyricsCache.get(hymn.id) || '').substring(0, 100);
+    const previewHtml = (match && match.line)
+        ? highlightMatch(match.line, match.query)
+        : lyricsPreviewHtml(hymn);
 
     card.innerHTML = `
         <div class="hymn-number">${hymn.id}</div>
         <div class="hymn-image"><i class="fas fa-music"></i></div>
         <div class="hymn-content">
             <h3 class="hymn-title">${escapeHtml(hymn.title)}</h3>
-            <p class="hymn-preview">${escapeHtml(preview)}${preview ? '...' : 'Lyrics not available'}</p>
+            <p class="hymn-preview">${previewHtml}</p>
+            <div class="hymn-tags">${tagChipsHtml(hymn)}</div>
             <div class="hymn-actions">
                 <button class="favorite${favActive}" data-action="favorite" data-id="${hymn.id}">
                     <i class="${favorites.includes(hymn.id) ? 'fas' : 'far'} fa-heart"></i>
-                    <span>Favorite</span>
+                    <span>${t('Favorite')}</span>
                 </button>
                 <button class="play" data-action="play" data-id="${hymn.id}">
                     <i class="fas fa-play"></i>
-                    <span>Play</span>
+                    <span>${t('Play')}</span>
+                </button>
+                <button class="queue" data-action="play-next" data-id="${hymn.id}" title="${t('Play next')}" aria-label="${t('Play next')}">
+                    <i class="fas fa-forward"></i>
+                </button>
+                <button class="queue" data-action="queue" data-id="${hymn.id}" title="${t('Add to queue')}" aria-label="${t('Add to queue')}">
+                    <i class="fas fa-list"></i>
+                </button>
+                <button class="share" data-action="share" data-id="${hymn.id}" title="${t('Share')}" aria-label="${t('Share')}">
+                    <i class="fas fa-share-nodes"></i>
                 </button>
             </div>
         </div>
@@ -167,46 +447,256 @@ function createHymnCardDOM(hymn) {
     return card;
 }
 
+// first lines of the hymn (skipping the "NNN – Title" header once parsed)
+function lyricsPreviewHtml(hymn) {
+    const model = parsedLyricsCache.get(hymn.id);
+    const first = model && (model.stanzas[0] || model.blocks[0]);
+    const text = first ? first.lines.join(' ') : (hymn.lyrics || lyricsCache.get(hymn.id) || '');
+    const preview = text.substring(0, 100);
+    return preview ? `${escapeHtml(preview)}...` : escapeHtml(t('Lyrics not available'));
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     return text.replace(/[&<>"']/g, (m) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
 }
 
-// render a list of hymns into a container (efficiently)
-function renderHymnsList(hymnsArray, container) {
+function createLyricsLinesDOM(lines) {
+    const wrap = document.createElement('div');
+    wrap.className = 'lyrics-lines';
+    for (const line of lines) {
+        const p = document.createElement('p');
+        p.className = 'lyrics-line';
+        p.textContent = line;
+        wrap.appendChild(p);
+    }
+    return wrap;
+}
+
+function createRefrainDOM(lines) {
+    const refrainEl = document.createElement('div');
+    refrainEl.className = 'lyrics-refrain';
+    const label = document.createElement('span');
+    label.className = 'refrain-label';
+    label.textContent = t('Refrain');
+    refrainEl.appendChild(label);
+    refrainEl.appendChild(createLyricsLinesDOM(lines));
+    return refrainEl;
+}
+
+// render a parseLyrics() model: each stanza followed by its refrain
+// (blocks carry data-key from sungBlockKeys so timed cues can find them)
+function renderLyrics(model, container) {
     if (!container) return;
     container.innerHTML = '';
-    if (!hymnsArray || hymnsArray.length === 0) {
+    const frag = document.createDocumentFragment();
+    const order = sungOrder(model);
+    const keys = sungBlockKeys(model, order);
+    order.forEach((block, i) => {
+        const blockEl = createLyricsBlockDOM(block);
+        blockEl.dataset.key = keys[i];
+        frag.appendChild(blockEl);
+    });
+    container.appendChild(frag);
+}
+
+function createLyricsBlockDOM(block) {
+    if (block.type === 'refrain') return createRefrainDOM(block.lines);
+    const stanzaEl = document.createElement('div');
+    stanzaEl.className = 'lyrics-stanza';
+    if (block.number !== null) {
+        const num = document.createElement('span');
+        num.className = 'stanza-number';
+        num.textContent = block.number;
+        stanzaEl.appendChild(num);
+    }
+    stanzaEl.appendChild(createLyricsLinesDOM(block.lines));
+    return stanzaEl;
+}
+
+// side-by-side reading: pair every rendered block with the same block of a
+// translation (matched by sungBlockKeys, so the stanzas line up by number)
+function addParallelLyrics(container, model, lang) {
+    const order = sungOrder(model);
+    const keys = sungBlockKeys(model, order);
+    const byKey = new Map(keys.map((key, i) => [key, order[i]]));
+    container.querySelectorAll(':scope > [data-key]').forEach(blockEl => {
+        const pair = document.createElement('div');
+        pair.className = 'lyrics-pair';
+        blockEl.replaceWith(pair);
+        pair.appendChild(blockEl);
+        const block = byKey.get(blockEl.dataset.key);
+        if (!block) return;
+        const translation = createLyricsBlockDOM(block);
+        translation.classList.add('lyrics-translation');
+        translation.lang = lang;
+        pair.appendChild(translation);
+    });
+}
+
+// render a list of hymns into a container (only the cards in view, see Virtual List)
+// matches: optional Map of hymn.id -> searchHymns() result
+function renderHymnsList(hymnsArray, container, matches) {
+    if (!container) return;
+    hymnListFor(container).setItems(hymnsArray || [], matches);
+}
+
+// Update a single hymn card wherever it is rendered - for toggling favorite state etc.
+function updateHymnCard(hymnId) {
+    const hymn = hymnById(hymnId);
+    if (!hymn) return;
+    hymnLists.forEach(list => list.update(hymn));
+}
+
+// Fill in previews of rendered cards once their lyrics have been loaded
+function refreshCardPreviews() {
+    for (const { container } of hymnLists.values()) {
+        container.querySelectorAll('.hymn-card').forEach(card => {
+            const preview = card.querySelector('.hymn-preview');
+            if (!preview || preview.querySelector('mark')) return;
+            const hymn = hymnById(card.dataset.id);
+            if (hymn) preview.innerHTML = lyricsPreviewHtml(hymn);
+        });
+    }
+}
+
+// ---------- Virtual List ----------
+// Hymn grids keep only the cards near the viewport in the DOM. Cards share one
+// height, so rows are placed arithmetically: the rows above and below the
+// rendered window become padding on the grid container. Pages scroll the
+// window, so visibility is measured against the viewport.
+const VIRTUAL_OVERSCAN_ROWS = 3;
+const hymnLists = new Map();   // container -> virtual list
+
+function hymnListFor(container) {
+    if (!hymnLists.has(container)) hymnLists.set(container, createVirtualList(container));
+    return hymnLists.get(container);
+}
+
+function createVirtualList(container) {
+    let items = [];
+    let matches = null;
+    let rendered = new Map();   // hymn.id -> card element in the DOM
+    let range = null;           // [start, end) of items currently rendered
+    let rowHeight = 0;          // card height + row gap; 0 until laid out
+    let columns = 1;
+
+    const isHidden = () => Boolean(container.closest('.page:not(.active)'));
+    const cardFor = (hymn) => createHymnCardDOM(hymn, matches && matches.get(hymn.id));
+
+    function measure(sample) {
+        const style = getComputedStyle(container);
+        // laid-out grids report resolved tracks ("240px 240px 240px")
+        const tracks = style.gridTemplateColumns.split(' ').filter(t => /px$/.test(t));
+        columns = Math.max(1, tracks.length);
+        rowHeight = sample.offsetHeight ? sample.offsetHeight + (parseFloat(style.rowGap) || 0) : 0;
+    }
+
+    // index of the first item in the row at the top of the viewport
+    const firstVisibleIndex = () => Math.max(0, Math.floor(-container.getBoundingClientRect().top / rowHeight)) * columns;
+
+    function visibleRange() {
+        if (!rowHeight) return [0, items.length]; // no layout to measure against: render everything
+        const top = container.getBoundingClientRect().top;
+        const firstRow = Math.max(0, Math.floor(-top / rowHeight) - VIRTUAL_OVERSCAN_ROWS);
+        const lastRow = Math.max(firstRow, Math.ceil((window.innerHeight - top) / rowHeight) + VIRTUAL_OVERSCAN_ROWS);
+        return [Math.min(items.length, firstRow * columns), Math.min(items.length, lastRow * columns)];
+    }
+
+    function renderEmpty() {
+        rendered = new Map();
+        range = null;
+        container.style.paddingTop = '';
+        container.style.paddingBottom = '';
         container.innerHTML = `
             <div class="empty-state">
                 <i class="fas fa-music"></i>
-                <h3>No hymns found</h3>
-                <p>Try adjusting your search or filter</p>
+                <h3>${t('No hymns found')}</h3>
+                <p>${t('Try adjusting your search or filter')}</p>
             </div>
         `;
-        return;
     }
 
-    const frag = document.createDocumentFragment();
-    for (const hymn of hymnsArray) {
-        frag.appendChild(createHymnCardDOM(hymn));
+    // fresh: rebuild every card (items or matches changed) instead of reusing them
+    function render(fresh = false) {
+        if (isHidden()) {
+            range = null; // lay out again when the page is shown
+            return;
+        }
+        if (!items.length) {
+            renderEmpty();
+            return;
+        }
+        if (!rowHeight) {
+            const sample = cardFor(items[0]);
+            container.style.paddingTop = '';
+            container.replaceChildren(sample);
+            measure(sample);
+            rendered = new Map([[items[0].id, sample]]);
+            range = null;
+        }
+        const [start, end] = visibleRange();
+        if (!fresh && range && range[0] === start && range[1] === end) return;
+        range = [start, end];
+
+        const next = new Map();
+        for (let i = start; i < end; i++) {
+            const hymn = items[i];
+            next.set(hymn.id, (!fresh && rendered.get(hymn.id)) || cardFor(hymn));
+        }
+        rendered = next;
+        const rows = Math.ceil(items.length / columns);
+        container.style.paddingTop = rowHeight ? `${(start / columns) * rowHeight}px` : '';
+        container.style.paddingBottom = rowHeight ? `${(rows - Math.ceil(end / columns)) * rowHeight}px` : '';
+        container.replaceChildren(...next.values());
     }
-    container.appendChild(frag);
-}
 
-// Update a single hymn card (exists in the DOM) - for toggling favorite state etc.
-function updateHymnCard(hymnId) {
-    const card = (hymnsContainer && hymnsContainer.querySelector(`.hymn-card[data-id="${hymnId}"]`))
-               || (favoritesContainer && favoritesContainer.querySelector(`.hymn-card[data-id="${hymnId}"]`))
-               || (notesContainer && notesContainer.querySelector(`.hymn-card[data-id="${hymnId}"]`))
-               || (moodContainer && moodContainer.querySelector(`.hymn-card[data-id="${hymnId}"]`));
-    if (!card) return;
-    const hymn = hymns.find(h => h.id === Number(hymnId));
-    if (!hymn) return;
-    const newCard = createHymnCardDOM(hymn);
-    card.replaceWith(newCard);
+    function setItems(nextItems, nextMatches) {
+        // keep the hymn at the top of the viewport in place if it is still listed
+        let anchor = null;
+        if (rowHeight && range && !isHidden() && container.getBoundingClientRect().top < 0) {
+            const index = firstVisibleIndex();
+            if (items[index]) anchor = { id: items[index].id, row: Math.floor(index / columns) };
+        }
+        items = nextItems;
+        matches = nextMatches || null;
+        if (anchor) {
+            const index = items.findIndex(h => h.id === anchor.id);
+            if (index !== -1) window.scrollBy(0, (Math.floor(index / columns) - anchor.row) * rowHeight);
+        }
+        render(true);
+    }
+
+    // re-create one card in place if it is rendered
+    function update(hymn) {
+        const card = rendered.get(hymn.id);
+        if (!card) return;
+        const fresh = cardFor(hymn);
+        card.replaceWith(fresh);
+        rendered.set(hymn.id, fresh);
+    }
+
+    // after scrolling/resizing or showing the page; remeasure when card size may have changed
+    function refresh({ remeasure = false } = {}) {
+        if (remeasure) rowHeight = 0;
+        render(remeasure);
+    }
+
+    return { container, setItems, update, refresh };
 }
 
+// one render per frame however many scroll events arrive
+const scheduleListRefresh = (() => {
+    let frame = 0;
+    return () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = 0;
+            hymnLists.forEach(list => list.refresh());
+        });
+    };
+})();
+
 // ---------- Data Loading ----------
 async function loadHymns() {
     try {
@@ -216,10 +706,21 @@ async function loadHymns() {
         const json = await res.json();
         hymns = Array.isArray(json) ? json : [];
     } catch (err) {
-        console.warn('Could not load hymns.json — using fallback sampleHymns', err);
-        hymns = sampleHymns.slice(); // fallback
-        showToast('Using sample hymns (offline)');
+        // the service worker normally answers from cache; this covers pages it doesn't control yet
+        const cached = await readCachedHymns();
+        if (cached) {
+            hymns = cached;
+            showToast(t('Offline — using saved hymnal'));
+        } else {
+            console.warn('Could not load hymns.json — using fallback sampleHymns', err);
+            hymns = sampleHymns.slice(); // fallback
+            showToast(t('Using sample hymns (offline)'));
+        }
     } finally {
+        // extra catalog details, merged over (never written into) hymns.json
+        sharedOverlay = await fetchSharedOverlay();
+        catalogMetadata.clear();
+        applyMetadata();
         if (loader) loader.classList.remove('visible');
         // Render immediately — do NOT wait for lyrics fetches
         renderHymnsList(hymns, hymnsContainer);
@@ -227,6 +728,8 @@ async function loadHymns() {
         updateFavoritesDisplay();
         updateNotesDisplay();
         updateMoodDisplay();
+        // index lyrics for search in the background
+        buildSearchIndex();
     }
 }
 
@@ -254,10 +757,379 @@ async function fetchLyricsIfNeeded(hymn) {
         }
     }
 
-    // fallback: use inline lyrics if present; otherwise 'Lyrics not available'
-    const fallback = hymn.lyrics || 'Lyrics not available';
-    lyricsCache.set(hymn.id, fallback);
-    return fallback;
+    // fallback: not cached, so the next open (or coming back online) tries again
+    if (lyricsFile) missingLyrics.add(hymn.id);
+    return t('Lyrics not available');
+}
+
+// Parsed lyrics for a hymn (parse once, report files that don't parse cleanly)
+async function getParsedLyrics(hymn) {
+    if (!hymn) return parseLyrics('');
+    if (parsedLyricsCache.has(hymn.id)) return parsedLyricsCache.get(hymn.id);
+    const text = await fetchLyricsIfNeeded(hymn);
+    const model = parseLyrics(text);
+    // the placeholder is neither cached nor indexed
+    if (!lyricsCache.has(hymn.id)) return model;
+    // inline sample lyrics have no header line, so only check real lyrics files
+    if (hymn.lyricsFile && model.issues.length) {
+        console.warn(`Lyrics for hymn ${hymn.id} (${hymn.lyricsFile}) did not parse cleanly:`, model.issues.map(i => i.message));
+    }
+    parsedLyricsCache.set(hymn.id, model);
+    // lyrics that failed to load before are searchable now
+    if (missingLyrics.delete(hymn.id)) {
+        indexHymn(hymn, model);
+        updateHymnCard(hymn.id);
+    }
+    return model;
+}
+
+// ---------- Languages ----------
+// lyricsFile holds a hymn's lyrics in DEFAULT_LYRICS_LANG. Translations sung
+// from the same numbering are listed per hymn, keyed by language code:
+//   "lyricsFiles": { "fr": "data/hymns/fr/001.txt", "tw": "data/hymns/tw/001.txt" }
+// The "language" setting holds the UI language (see Localization), the
+// lyrics language read in the detail view and an optional second language
+// shown side by side. Search covers the default language plus those two.
+const DEFAULT_LYRICS_LANG = 'en';
+const LANG_CODE_RE = /^[a-z]{2,3}(-[a-z0-9]+)?$/;
+const LANGUAGE_DEFAULTS = { ui: 'en', lyrics: DEFAULT_LYRICS_LANG, parallel: '' };
+const translationCache = new Map();   // `${hymn.id}:${lang}` -> parseLyrics() model, null when there is none
+let language = { ...LANGUAGE_DEFAULTS };
+
+function normalizeLanguage(value) {
+    const out = { ...LANGUAGE_DEFAULTS };
+    if (!isPlainObject(value)) return out;
+    if (UI_LOCALES[value.ui]) out.ui = value.ui;
+    if (LANG_CODE_RE.test(value.lyrics)) out.lyrics = value.lyrics;
+    if (LANG_CODE_RE.test(value.parallel) && value.parallel !== out.lyrics) out.parallel = value.parallel;
+    return out;
+}
+
+// lang -> lyrics file of one hymn, the default language first (null for inline lyrics)
+function lyricsFilesFor(hymn) {
+    const files = { [DEFAULT_LYRICS_LANG]: hymn.lyricsFile || null };
+    if (isPlainObject(hymn.lyricsFiles)) {
+        for (const [lang, file] of Object.entries(hymn.lyricsFiles)) {
+            if (LANG_CODE_RE.test(lang) && typeof file === 'string' && file) files[lang] = file;
+        }
+    }
+    return files;
+}
+
+const hymnLanguages = (hymn) => Object.keys(lyricsFilesFor(hymn));
+
+// every language some hymn has lyrics in, default first
+const catalogLanguages = () => [...new Set([DEFAULT_LYRICS_LANG].concat(...hymns.map(hymnLanguages)))];
+
+function languageName(lang) {
+    try {
+        return new Intl.DisplayNames([uiLocale], { type: 'language' }).of(lang) || lang;
+    } catch (err) {
+        return lang;
+    }
+}
+
+// languages search covers beyond the default one
+const searchLanguages = () => [language.lyrics, language.parallel]
+    .filter((lang, i, list) => lang && lang !== DEFAULT_LYRICS_LANG && list.indexOf(lang) === i);
+
+// parsed lyrics in one language; null when the hymn has no such translation
+async function getLyricsIn(hymn, lang) {
+    if (!lang || lang === DEFAULT_LYRICS_LANG) return getParsedLyrics(hymn);
+    const key = `${hymn.id}:${lang}`;
+    if (translationCache.has(key)) return translationCache.get(key);
+    const file = lyricsFilesFor(hymn)[lang];
+    if (!file) return null;
+    try {
+        const res = await fetch(file);
+        translationCache.set(key, res.ok ? parseLyrics(await res.text()) : null);
+    } catch (err) {
+        console.warn(`Error fetching ${lang} lyrics for`, hymn.id, err);
+        return null; // offline: try again next time
+    }
+    return translationCache.get(key);
+}
+
+// the languages the detail view shows for a hymn: the chosen ones it has
+function readingLanguages(hymn) {
+    const available = hymnLanguages(hymn);
+    const primary = available.includes(language.lyrics) ? language.lyrics : DEFAULT_LYRICS_LANG;
+    const secondary = available.includes(language.parallel) && language.parallel !== primary ? language.parallel : null;
+    return { available, primary, secondary };
+}
+
+// lyrics of the open hymn in the chosen language(s); resolves to the default
+// language model (which notes and cues are keyed to), or null if another
+// hymn was opened meanwhile
+async function renderDetailLyrics(hymn) {
+    const { available, primary, secondary } = readingLanguages(hymn);
+    const [base, model, translation] = await Promise.all([
+        getParsedLyrics(hymn),
+        getLyricsIn(hymn, primary),
+        secondary ? getLyricsIn(hymn, secondary) : null
+    ]);
+    if (currentHymn !== hymn) return null;
+    const shown = model ? primary : DEFAULT_LYRICS_LANG;
+    detailTitle.textContent = shown !== DEFAULT_LYRICS_LANG && model.header ? model.header.title : hymn.title;
+    renderLyrics(model || base, lyricsContainer);
+    lyricsContainer.lang = shown;
+    lyricsContainer.classList.toggle('parallel', Boolean(translation));
+    if (translation) addParallelLyrics(lyricsContainer, translation, secondary);
+
+    lyricsLanguages.classList.toggle('hidden', available.length < 2);
+    fillLanguageSelect(lyricsLangSelect, available, shown);
+    fillLanguageSelect(lyricsParallelSelect, available.filter(lang => lang !== shown), translation ? secondary : '', t('Side by side: off'));
+    return base;
+}
+
+// redraw the open hymn after the reading languages changed
+async function refreshDetailLyrics() {
+    const hymn = currentHymn;
+    if (!hymn || !await renderDetailLyrics(hymn)) return;
+    renderLyricsNotes();
+    activeDetailCue = null;
+    syncCues();
+}
+
+function fillLanguageSelect(select, langs, value, noneLabel) {
+    select.innerHTML = (noneLabel ? `<option value="">${escapeHtml(noneLabel)}</option>` : '')
+        + langs.map(lang => `<option value="${lang}">${escapeHtml(languageName(lang))}</option>`).join('');
+    select.value = value;
+}
+
+function setLanguage(changes) {
+    storage.set('language', normalizeLanguage({ ...language, ...changes }));
+}
+
+// switch the UI language: static text from index.html, then everything script.js wrote
+async function applyLocale(lang) {
+    await loadLocale(lang);
+    translatePage();
+    applyDisplay(display);
+    hymnLists.forEach(list => list.refresh({ remeasure: true }));
+    renderTagFilter();
+    renderCustomTagsSettings();
+    updateNotesDisplay();
+    updateServicesDisplay();
+    updateHistoryStatus();
+    updateOfflineStatus();
+    if (statsPage.classList.contains('active')) updateStatsDisplay();
+    if (topicsPage.classList.contains('active')) updateTopicsDisplay();
+    updateRepeatButton();
+    updatePlayButtons();
+    renderQueue();
+    if (nowPlaying && isPlaying) miniPlayerTitle.textContent = t('Now Playing: {title}', { title: nowPlaying.title });
+    if (printJob) renderPrintDialog();
+    if (shareJob) renderShareDialog();
+    renderDailySettings();
+    renderDailyHymn();
+    if (dailySettings.notify) syncDailyReminders();
+    if (keypadModal.classList.contains('active')) renderKeypad();
+    if (!currentHymn) return;
+    renderHymnMeta(currentHymn);
+    updateDetailFavoriteBtn();
+    updateDetailTags();
+    updateNotesButton();
+    updateOfflineAudioBtn(currentHymn);
+    updateDetailAudio(currentHymn);
+    renderPitchPipe();
+    renderPractice();
+    updateCueRecorder();
+    updateDetailNav();
+    if (notesModal.classList.contains('active')) updateNotesModal();
+}
+
+function updateLanguageSettings() {
+    const langs = catalogLanguages();
+    uiLanguageSelect.innerHTML = Object.entries(UI_LOCALES)
+        .map(([code, name]) => `<option value="${code}">${escapeHtml(name)}</option>`).join('');
+    uiLanguageSelect.value = language.ui;
+    fillLanguageSelect(lyricsLanguageSelect, langs, langs.includes(language.lyrics) ? language.lyrics : DEFAULT_LYRICS_LANG);
+    fillLanguageSelect(parallelLanguageSelect, langs.filter(lang => lang !== language.lyrics), language.parallel, t('None'));
+    languageStatus.textContent = t('Search covers: {languages}', {
+        languages: [DEFAULT_LYRICS_LANG].concat(searchLanguages()).map(languageName).join(', ')
+    });
+}
+
+// load the translations search should cover and re-index; the caller re-runs the search
+async function indexTranslations() {
+    const langs = searchLanguages();
+    const pending = hymns.filter(hymn => langs.some(lang => lyricsFilesFor(hymn)[lang] && !translationCache.has(`${hymn.id}:${lang}`)));
+    await forEachConcurrent(pending, SEARCH_INDEX_CONCURRENCY, async (hymn) => {
+        for (const lang of langs) await getLyricsIn(hymn, lang);
+    });
+    hymns.forEach(hymn => indexHymn(hymn, parsedLyricsCache.get(hymn.id) || null));
+}
+
+// ---------- Hymn Metadata ----------
+// Optional catalog fields besides id/title/lyricsFile/audio/mood:
+//   author, composer, tune, meter, year, scripture: ["Psalm 23"], topics: ["Comfort"],
+//   and for the pitch pipe key: "G" / "Eb" / "F#m", startingNote: "D4",
+//   tempo: 96 (beats per minute), timeSignature: "3/4"
+// Overlays add or correct them without touching hymns.json — first the shared
+// data/hymns.overlay.json (shipped empty), then the local overlay edited in Settings, both
+// shaped like { "300": { "tune": "BETHANY", "topics": ["Comfort"] } }.
+const METADATA_FIELDS = ['author', 'composer', 'tune', 'meter', 'year', 'scripture', 'topics', 'key', 'startingNote', 'tempo', 'timeSignature'];
+const METADATA_OVERLAY_FILE = 'data/hymns.overlay.json';
+const catalogMetadata = new Map();   // hymn.id -> fields as hymns.json has them
+let sharedOverlay = {};
+let metadataOverlay = {};            // local overlay, kept in storage as "metadata"
+
+// list values in first-seen spelling, without blanks or case-insensitive repeats
+const listField = (value, separator) => (Array.isArray(value) ? value : String(value || '').split(separator))
+    .map(v => String(v).trim())
+    .filter((v, i, all) => v && all.findIndex(o => o.toLowerCase() === v.toLowerCase()) === i);
+
+// keep known fields with sensible values; lists may be arrays or separated
+// strings, and null (overlays only) clears what the catalog has
+function normalizeMetadata(entry) {
+    const out = {};
+    if (!isPlainObject(entry)) return out;
+    METADATA_FIELDS.forEach(field => { if (entry[field] === null) out[field] = null; });
+    for (const field of ['author', 'composer', 'tune', 'meter']) {
+        if (typeof entry[field] === 'string' && entry[field].trim()) out[field] = entry[field].trim();
+    }
+    const year = Number(entry.year);
+    if (entry.year !== '' && Number.isInteger(year) && year > 0 && year <= new Date().getFullYear()) out.year = year;
+    const scripture = listField(entry.scripture, ';');
+    if (scripture.length) out.scripture = scripture;
+    const topics = listField(entry.topics, ',');
+    if (topics.length) out.topics = topics;
+    const key = parseKey(entry.key);
+    if (key) out.key = key.name;
+    const note = parseNote(entry.startingNote);
+    if (note) out.startingNote = note.name;
+    const tempo = Number(entry.tempo);
+    if (Number.isInteger(tempo) && tempo >= TEMPO_RANGE[0] && tempo <= TEMPO_RANGE[1]) out.tempo = tempo;
+    const timeSignature = String(entry.timeSignature || '').replace(/\s/g, '');
+    if (TIME_SIGNATURES.includes(timeSignature)) out.timeSignature = timeSignature;
+    return out;
+}
+
+function normalizeOverlay(overlay) {
+    const out = {};
+    if (!isPlainObject(overlay)) return out;
+    for (const [id, entry] of Object.entries(overlay)) {
+        const fields = normalizeMetadata(entry);
+        if (Number(id) > 0 && Object.keys(fields).length) out[Number(id)] = fields;
+    }
+    return out;
+}
+
+async function fetchSharedOverlay() {
+    try {
+        const res = await fetch(METADATA_OVERLAY_FILE);
+        return res.ok ? normalizeOverlay(await res.json()) : {};
+    } catch (err) {
+        return {}; // the shared overlay is optional
+    }
+}
+
+// (re)apply catalog + overlays onto the hymn objects in place
+function applyMetadata() {
+    for (const hymn of hymns) {
+        if (!catalogMetadata.has(hymn.id)) catalogMetadata.set(hymn.id, normalizeMetadata(hymn));
+        const merged = { ...catalogMetadata.get(hymn.id), ...sharedOverlay[hymn.id], ...metadataOverlay[hymn.id] };
+        for (const field of METADATA_FIELDS) {
+            if (merged[field] === undefined || merged[field] === null) delete hymn[field];
+            else hymn[field] = merged[field];
+        }
+    }
+}
+
+// the catalog details as one line, for search results
+function metadataText(hymn) {
+    return [hymn.author, hymn.composer, hymn.tune, hymn.meter, hymn.year]
+        .concat(hymn.scripture || [], hymn.topics || [])
+        .filter(Boolean)
+        .join(' · ');
+}
+
+function renderHymnMeta(hymn) {
+    const rows = [];
+    const row = (label, html) => rows.push(`<div class="hymn-meta-row"><dt>${label}</dt><dd>${html}</dd></div>`);
+    if (hymn.author) row(t('Words'), escapeHtml(hymn.author));
+    if (hymn.composer) row(t('Music'), escapeHtml(hymn.composer));
+    if (hymn.tune) row(t('Tune'), escapeHtml(hymn.meter ? `${hymn.tune} (${hymn.meter})` : hymn.tune));
+    else if (hymn.meter) row(t('Meter'), escapeHtml(hymn.meter));
+    if (hymn.year) row(t('Year'), String(hymn.year));
+    if (hymn.scripture) {
+        row(t('Scripture'), hymn.scripture
+            .map(ref => `<a href="${indexHash('scripture', scriptureBook(ref))}">${escapeHtml(ref)}</a>`)
+            .join('; '));
+    }
+    if (hymn.key || hymn.startingNote) {
+        const key = parseKey(hymn.key);
+        const note = parseNote(hymn.startingNote);
+        row(t('Key'), escapeHtml([key ? keyLabel(key) : '', note ? t('starts on {note}', { note: prettyPitch(note.name) }) : ''].filter(Boolean).join(' · ')));
+    }
+    if (hymn.tempo || hymn.timeSignature) {
+        row(t('Time'), escapeHtml([hymn.timeSignature, hymn.tempo ? t('{bpm} bpm', { bpm: hymn.tempo }) : ''].filter(Boolean).join(' · ')));
+    }
+    if (hymn.topics) {
+        row(t('Topics'), hymn.topics
+            .map(topic => `<a class="topic-chip" href="${indexHash('topics', topic)}">${escapeHtml(topic)}</a>`)
+            .join(''));
+    }
+    hymnMeta.innerHTML = rows.join('');
+    hymnMeta.classList.toggle('hidden', !rows.length);
+}
+
+// ---------- Metadata editor (Settings) ----------
+function metadataEditorHymn() {
+    return hymnById(document.getElementById('metadata-hymn').value);
+}
+
+function fillMetadataForm() {
+    const hymn = metadataEditorHymn();
+    document.getElementById('metadata-hymn-title').textContent = hymn ? hymn.title : '';
+    metadataForm.querySelectorAll('[data-field]').forEach(input => {
+        const value = hymn ? hymn[input.dataset.field] : '';
+        input.value = Array.isArray(value) ? value.join(input.dataset.field === 'scripture' ? '; ' : ', ') : (value || '');
+        input.disabled = !hymn;
+    });
+}
+
+function saveMetadataForm() {
+    const hymn = metadataEditorHymn();
+    if (!hymn) {
+        showToast(t('Enter a hymn number first'));
+        return;
+    }
+    const entry = {};
+    metadataForm.querySelectorAll('[data-field]').forEach(input => { entry[input.dataset.field] = input.value; });
+    const fields = normalizeMetadata(entry);
+    // store only what differs from hymns.json and the shared overlay
+    const base = { ...catalogMetadata.get(hymn.id), ...sharedOverlay[hymn.id] };
+    const changed = {};
+    for (const field of METADATA_FIELDS) {
+        const value = fields[field] === undefined ? null : fields[field];
+        if (JSON.stringify(value) !== JSON.stringify(base[field] === undefined ? null : base[field])) changed[field] = value;
+    }
+    const next = { ...metadataOverlay };
+    if (Object.keys(changed).length) next[hymn.id] = changed;
+    else delete next[hymn.id];
+    storage.set('metadata', next);
+    showToast(t('Saved details for hymn {number}', { number: hymn.id }));
+}
+
+function revertMetadata() {
+    const hymn = metadataEditorHymn();
+    if (!hymn || !metadataOverlay[hymn.id]) return;
+    const next = { ...metadataOverlay };
+    delete next[hymn.id];
+    storage.set('metadata', next);
+    fillMetadataForm();
+    showToast(t('Hymn {number} uses the catalog details again', { number: hymn.id }));
+}
+
+// shared overlay plus local edits, ready to commit as data/hymns.overlay.json
+function downloadMetadataOverlay() {
+    const combined = {};
+    for (const id of new Set(Object.keys(sharedOverlay).concat(Object.keys(metadataOverlay)))) {
+        combined[id] = { ...sharedOverlay[id], ...metadataOverlay[id] };
+    }
+    downloadFile('hymns.overlay.json', `${JSON.stringify(combined, null, 2)}\n`, 'application/json');
 }
 
 // ---------- Interaction Handlers ----------
@@ -268,100 +1140,558 @@ async function openHymnDetail(hymnId) {
     const hymn = hymns.find(h => h.id === id);
     if (!hymn) return;
 
+    if (cueRecording && cueRecording.hymn !== hymn) stopCueRecording();
+    const changed = currentHymn !== hymn;
     currentHymn = hymn;
+    if (changed) preparePitchPipe(hymn);
+    recordView(hymn);
 
     detailTitle.textContent = hymn.title;
+    renderHymnMeta(hymn);
     // show 'loading...' quickly, then replace once lyrics loaded
-    lyricsContainer.textContent = 'Loading lyrics…';
+    lyricsContainer.textContent = t('Loading lyrics…');
 
-    // update favorite button
-    const isFav = favorites.includes(id);
-    favoriteBtn.innerHTML = `<i class="${isFav ? 'fas' : 'far'} fa-heart"></i>
-                             <span>${isFav ? 'Remove from' : 'Add to'} Favorites</span>`;
+    updateDetailFavoriteBtn();
+    updateDetailTags();
+    updateNotesButton();
+    updateDetailNav();
+    // each hymn starts at the top, also when turning pages
+    hymnDetail.querySelector('.detail-content').scrollTop = 0;
 
-    // mark mood buttons
-    moodOptions.forEach(option => {
-        option.classList.remove('active');
-        if (moods[id] && option.dataset.mood === moods[id]) option.classList.add('active');
+    // lazy load lyrics, in the reading language(s) when the hymn has them
+    if (!await renderDetailLyrics(hymn)) return; // another hymn was opened meanwhile
+    renderLyricsNotes();
+    highlightSharedVerse();
+    activeDetailCue = null;
+    loadCues(hymn).then(() => {
+        if (currentHymn === hymn) syncCues();
     });
 
-    // lazy load lyrics
-    const lyrics = await fetchLyricsIfNeeded(hymn);
-    lyricsContainer.textContent = lyrics;
-
-    // Setup audio source (do not rebind event listeners multiple times)
-    if (audio.src !== hymn.audio) {
-        audio.pause();
-        audio.src = hymn.audio || '';
-    }
-
-    // ensure duration displayed when metadata loaded
-    if (audio.duration) {
-        durationEl.textContent = formatTime(audio.duration);
-    } else {
-        // wait for metadata once (do not attach duplicate listeners)
-        const onMeta = function() {
-            durationEl.textContent = formatTime(audio.duration);
-            audio.removeEventListener('loadedmetadata', onMeta);
-        };
-        audio.addEventListener('loadedmetadata', onMeta);
-    }
+    // the player only reflects this hymn if it's the one playing
+    syncDetailPlayer();
+    updateDetailAudio(hymn);
+    updateOfflineAudioBtn(hymn);
 
     // show detail
     hymnDetail.classList.add('active');
+    trapFocus(hymnDetail);
 }
 
-// Close detail
-function closeHymnDetail() {
+// Hide detail (playback carries on in the mini-player)
+function hideHymnDetail() {
+    stopCueRecording();
+    stopMetronome();
     hymnDetail.classList.remove('active');
-    pauseAudio();
+    releaseFocus(hymnDetail);
     currentHymn = null;
 }
 
-// toggle play/pause
+// close button / Back: leave the #/hymn route
+function closeHymnDetail() {
+    leaveOverlayRoute();
+}
+
+// ---------- Audio Engine / Play Queue ----------
+// `audio` plays nowPlaying, which is independent of the hymn open in the
+// detail view. playQueue holds hymn ids; queueIndex points at nowPlaying.
+let playQueue = [];
+let queueIndex = -1;
+let nowPlaying = null;
+let repeatMode = 'off';              // 'off' | 'all' | 'one'
+let failedInARow = 0;                // tracks skipped because their audio is missing
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+const hymnById = (id) => hymns.find(h => h.id === Number(id));
+
+// start the track at queueIndex
+function loadQueueTrack(index) {
+    const hymn = hymnById(playQueue[index]);
+    if (!hymn) return false;
+    finishListening();
+    savePosition();
+    preparePractice(hymn);
+    queueIndex = index;
+    nowPlaying = hymn;
+    audio.src = audioSourceFor(hymn);
+    progressBar.style.width = '0%';
+    updateMediaSession();
+    renderQueue();
+    playAudio();
+    return true;
+}
+
+// play a hymn right away, keeping the rest of the queue after it
+function playHymnNow(hymnId) {
+    const id = Number(hymnId);
+    if (nowPlaying && nowPlaying.id === id) {
+        playAudio();
+        return;
+    }
+    if (!playable(hymnById(id))) return;
+    failedInARow = 0;
+    playQueue.splice(queueIndex + 1, 0, id);
+    loadQueueTrack(queueIndex + 1);
+}
+
+function playNextInQueue(hymnId) {
+    const hymn = hymnById(hymnId);
+    if (!playable(hymn)) return;
+    if (!nowPlaying) {
+        playHymnNow(hymn.id);
+        return;
+    }
+    playQueue.splice(queueIndex + 1, 0, hymn.id);
+    renderQueue();
+    showToast(t('"{title}" plays next', { title: hymn.title }));
+}
+
+function addToQueue(hymnId) {
+    const hymn = hymnById(hymnId);
+    if (!playable(hymn)) return;
+    playQueue.push(hymn.id);
+    if (!nowPlaying) loadQueueTrack(playQueue.length - 1);
+    else showToast(t('Added to queue'));
+    renderQueue();
+}
+
+// replace the queue with a list of hymns (a service, favorites, a mood), skipping those without a recording
+function playList(list, { shuffle = false } = {}) {
+    const ids = list.filter(canPlay).map(h => h.id);
+    if (!ids.length) {
+        showToast(t(list.length ? 'None of these hymns has a recording' : 'Nothing to play'));
+        return;
+    }
+    if (shuffle) {
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+    }
+    playQueue = ids;
+    failedInARow = 0;
+    loadQueueTrack(0);
+}
+
+// auto: called from `ended`/`error` rather than the user pressing next
+function nextTrack(auto = false) {
+    if (!playQueue.length) return;
+    if (auto && repeatMode === 'one') {
+        audio.currentTime = 0;
+        playAudio();
+        return;
+    }
+    let next = queueIndex + 1;
+    if (next >= playQueue.length) {
+        if (repeatMode === 'off') {
+            if (auto) stopPlayback(false);
+            return;
+        }
+        next = 0;
+    }
+    loadQueueTrack(next);
+}
+
+function prevTrack() {
+    if (!playQueue.length) return;
+    // like most players: restart the track unless we're at its very beginning
+    if (audio.currentTime > 3 || (queueIndex === 0 && repeatMode !== 'all')) {
+        audio.currentTime = 0;
+        return;
+    }
+    loadQueueTrack(queueIndex > 0 ? queueIndex - 1 : playQueue.length - 1);
+}
+
+function cycleRepeatMode() {
+    repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+    updateRepeatButton();
+    showToast(t(repeatMode === 'off' ? 'Repeat off' : repeatMode === 'one' ? 'Repeat this hymn' : 'Repeat queue'), 1000);
+}
+
+function updateRepeatButton() {
+    miniRepeatBtn.classList.toggle('active', repeatMode !== 'off');
+    miniRepeatBtn.innerHTML = `<i class="fas fa-repeat"></i>${repeatMode === 'one' ? '<span class="repeat-one">1</span>' : ''}`;
+    miniRepeatBtn.title = t(repeatMode === 'off' ? 'Repeat: off' : repeatMode === 'one' ? 'Repeat: this hymn' : 'Repeat: queue');
+    miniRepeatBtn.setAttribute('aria-label', miniRepeatBtn.title);
+}
+
+function removeFromQueue(index) {
+    if (index === queueIndex) {
+        playQueue.splice(index, 1);
+        if (playQueue.length && index < playQueue.length) loadQueueTrack(index);
+        else stopPlayback();
+        return;
+    }
+    playQueue.splice(index, 1);
+    if (index < queueIndex) queueIndex--;
+    renderQueue();
+}
+
+// stop playing; with clear, also forget the queue and hide the mini-player
+function stopPlayback(clear = true) {
+    savePosition();
+    audio.pause();
+    isPlaying = false;
+    if (clear) {
+        finishListening();
+        playQueue = [];
+        queueIndex = -1;
+        nowPlaying = null;
+        audio.removeAttribute('src');
+        releaseUserRecordingUrl();
+        miniPlayer.classList.add('hidden');
+        queuePanel.classList.add('hidden');
+    }
+    updatePlayButtons();
+    renderQueue();
+}
+
+// toggle play/pause — the detail play button plays the open hymn
 function togglePlayback() {
-    if (!currentHymn) return;
+    if (currentHymn && hymnDetail.classList.contains('active')
+        && (!nowPlaying || nowPlaying.id !== currentHymn.id)) {
+        playHymnNow(currentHymn.id);
+        return;
+    }
+    if (!nowPlaying) return;
     if (isPlaying) pauseAudio();
     else playAudio();
 }
 
 function playAudio() {
-    if (!currentHymn) return;
+    if (!nowPlaying) return;
     audio.play()
         .then(() => {
             isPlaying = true;
-            playBtn.innerHTML = '<i class="fas fa-pause"></i>';
-            miniPlayBtn.innerHTML = '<i class="fas fa-pause"></i>';
-            miniPlayerTitle.textContent = `Now Playing: ${currentHymn.title}`;
+            failedInARow = 0;
+            miniPlayerTitle.textContent = t('Now Playing: {title}', { title: nowPlaying.title });
             miniPlayer.classList.remove('hidden');
-            showToast('Audio started playing', 1000);
+            updatePlayButtons();
         })
         .catch(err => {
-            console.error('Audio play error', err);
-            showToast('Cannot play audio (user gesture required?)');
+            // missing files are handled by the `error` listener
+            if (err.name === 'NotAllowedError') showToast(t('Tap play to start audio'));
+            else if (err.name !== 'AbortError') console.error('Audio play error', err);
         });
 }
 
 function pauseAudio() {
     audio.pause();
     isPlaying = false;
-    playBtn.innerHTML = '<i class="fas fa-play"></i>';
-    miniPlayBtn.innerHTML = '<i class="fas fa-play"></i>';
-    showToast('Audio paused', 800);
+    updatePlayButtons();
+    showToast(t('Audio paused'), 800);
 }
 
-// update progress (throttled to reduce layout thrashing)
-const updateProgress = throttle(() => {
-    if (!audio.duration) return;
-    const pct = (audio.currentTime / audio.duration) * 100;
-    progressBar.style.width = `${pct}%`;
-    currentTimeEl.textContent = formatTime(audio.currentTime);
-}, 150);
+function onAudioError() {
+    if (!nowPlaying) return;
+    console.warn('Audio unavailable for', nowPlaying.id, audio.error);
+    // the server has no such file (or none this browser can play)
+    if (!userRecordingUrl && audio.error && audio.error.code === 4) markAudioMissing(nowPlaying);
+    showToast(t('No recording for "{title}"', { title: nowPlaying.title }));
+    isPlaying = false;
+    updatePlayButtons();
+    // skip to the next track, but don't spin forever through a queue of missing files
+    failedInARow++;
+    if (failedInARow < playQueue.length) setTimeout(() => nextTrack(true), 800);
+}
 
-// set progress from click / touch
-function setProgress(e) {
-    if (!audio.duration) return;
-    // support pointer events and touch — use boundingClientRect for accurate coords
+// a hymn Play can start; says so when it has no recording
+function playable(hymn) {
+    if (!hymn) return false;
+    if (canPlay(hymn)) return true;
+    showToast(t('No recording for "{title}"', { title: hymn.title }));
+    return false;
+}
+
+const isDetailPlaying = () => currentHymn && nowPlaying && currentHymn.id === nowPlaying.id;
+
+function updatePlayButtons() {
+    const icon = `<i class="fas fa-${isPlaying ? 'pause' : 'play'}"></i>`;
+    miniPlayBtn.innerHTML = icon;
+    miniPlayBtn.setAttribute('aria-label', t(isPlaying ? 'Pause' : 'Play'));
+    const detailPlaying = isDetailPlaying() && isPlaying;
+    playBtn.innerHTML = detailPlaying ? icon : '<i class="fas fa-play"></i>';
+    playBtn.setAttribute('aria-label', t(detailPlaying ? 'Pause' : 'Play'));
+    if ('mediaSession' in navigator) navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+}
+
+// detail view progress follows the open hymn only when it is the one playing
+function syncDetailPlayer() {
+    if (isDetailPlaying()) {
+        updateProgress();
+        durationEl.textContent = formatTime(audio.duration || 0);
+    } else {
+        progressBar.style.width = '0%';
+        currentTimeEl.textContent = formatTime(0);
+        durationEl.textContent = formatTime(0);
+    }
+    updatePlayButtons();
+    renderPractice();
+}
+
+function renderQueue() {
+    if (!queueList) return;
+    if (!playQueue.length) {
+        queueList.innerHTML = `<li class="queue-empty">${t('The queue is empty')}</li>`;
+        return;
+    }
+    queueList.innerHTML = playQueue.map((id, index) => {
+        const hymn = hymnById(id);
+        return `
+            <li class="queue-item${index === queueIndex ? ' current' : ''}" data-index="${index}">
+                <span class="queue-number">${id}</span>
+                <span class="queue-title">${escapeHtml(hymn ? hymn.title : t('Unknown hymn'))}</span>
+                <button class="queue-remove" data-queue-action="remove" title="${t('Remove from queue')}" aria-label="${t('Remove from queue')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+function onQueueClick(e) {
+    const item = e.target.closest('.queue-item');
+    if (!item) return;
+    const index = Number(item.dataset.index);
+    if (e.target.closest('[data-queue-action="remove"]')) removeFromQueue(index);
+    else loadQueueTrack(index);
+}
+
+// ---------- Practice mode ----------
+// Rehearsal controls under the detail player: speed (the pitch is kept), an
+// A–B loop shown on the progress bar, skip buttons and keys. They act on
+// nowPlaying, so a loop keeps going from the mini-player. Where each long
+// track was left is kept in storage ("positions") and resumed next time.
+const PLAYBACK_RATES = [0.5, 0.6, 0.75, 0.9, 1, 1.1, 1.25, 1.5];
+const PRACTICE_DEFAULTS = { open: false, rate: 1 };
+const SKIP_SECONDS = 5;
+const RESUME_MIN_DURATION = 90;      // shorter tracks just start over
+const RESUME_MARGIN = 10;            // this close to either end counts as not started / finished
+const POSITIONS_LIMIT = 100;
+let practiceSettings = { ...PRACTICE_DEFAULTS };
+let playbackPositions = {};          // hymn.id -> { position, savedAt }
+let practiceLoop = null;             // { hymnId, a, b } in seconds; b is null until set
+let pendingResume = null;            // { hymnId, position } to seek to once the duration is known
+
+function normalizePractice(value) {
+    const out = { ...PRACTICE_DEFAULTS, ...(isPlainObject(value) ? value : {}) };
+    out.open = out.open === true;
+    if (!PLAYBACK_RATES.includes(out.rate)) out.rate = PRACTICE_DEFAULTS.rate;
+    return out;
+}
+
+function applyPlaybackRate() {
+    // a new src resets playbackRate to the default one
+    audio.defaultPlaybackRate = practiceSettings.rate;
+    audio.playbackRate = practiceSettings.rate;
+    for (const prop of ['preservesPitch', 'mozPreservesPitch', 'webkitPreservesPitch']) {
+        if (prop in audio) audio[prop] = true;
+    }
+}
+
+function setPracticeSettings(changes) {
+    practiceSettings = normalizePractice({ ...practiceSettings, ...changes });
+    storage.set('practice', practiceSettings);
+    applyPlaybackRate();
+    renderPractice();
+}
+
+function stepPlaybackRate(step) {
+    const index = PLAYBACK_RATES.indexOf(practiceSettings.rate) + step;
+    if (index < 0 || index >= PLAYBACK_RATES.length) return;
+    setPracticeSettings({ rate: PLAYBACK_RATES[index] });
+    showToast(t('Speed {rate}×', { rate: PLAYBACK_RATES[index] }), 800);
+}
+
+function skipBy(seconds) {
+    if (!nowPlaying || !audio.duration) return;
+    audio.currentTime = clamp(audio.currentTime + seconds, [0, audio.duration]);
+    updateProgress();
+}
+
+const loopActive = () => Boolean(practiceLoop && practiceLoop.b !== null && nowPlaying && nowPlaying.id === practiceLoop.hymnId);
+
+// A goes where the track is now; B too, and then the loop starts over from A
+function setLoopPoint(which) {
+    if (cueRecording) return; // tap-along times the whole track
+    if (!isDetailPlaying() || !audio.duration) {
+        showToast(t('Play this hymn to set a loop'));
+        return;
+    }
+    const time = audio.currentTime;
+    const loop = practiceLoop && practiceLoop.hymnId === nowPlaying.id ? practiceLoop : { hymnId: nowPlaying.id, a: 0, b: null };
+    if (which === 'a') {
+        practiceLoop = { ...loop, a: time, b: loop.b !== null && loop.b > time + 1 ? loop.b : null };
+    } else {
+        if (time < loop.a + 1) {
+            showToast(t('Set B after A'));
+            return;
+        }
+        practiceLoop = { ...loop, b: time };
+        audio.currentTime = practiceLoop.a;
+    }
+    renderLoop();
+}
+
+function clearLoop() {
+    practiceLoop = null;
+    renderLoop();
+}
+
+// timeupdate: back to A once past B
+function enforceLoop() {
+    if (loopActive() && audio.currentTime >= practiceLoop.b) audio.currentTime = practiceLoop.a;
+}
+
+function renderLoop() {
+    const loop = isDetailPlaying() && audio.duration && practiceLoop && practiceLoop.hymnId === nowPlaying.id ? practiceLoop : null;
+    loopRegion.classList.toggle('hidden', !loop);
+    if (loop) {
+        const end = loop.b === null ? loop.a : loop.b;
+        loopRegion.style.left = `${(loop.a / audio.duration) * 100}%`;
+        loopRegion.style.width = `${((end - loop.a) / audio.duration) * 100}%`;
+    }
+    loopStatus.textContent = !loop ? ''
+        : loop.b === null ? t('Loop from {a}', { a: formatTime(loop.a) })
+        : t('Looping {a}–{b}', { a: formatTime(loop.a), b: formatTime(loop.b) });
+    loopClearBtn.disabled = !loop;
+}
+
+function renderPractice() {
+    const open = practiceSettings.open && Boolean(currentHymn) && canPlay(currentHymn);
+    practiceControls.classList.toggle('hidden', !open);
+    practiceBtn.classList.toggle('active', practiceSettings.open);
+    practiceBtn.setAttribute('aria-expanded', String(open));
+    if (!playbackRateSelect.options.length) {
+        playbackRateSelect.innerHTML = PLAYBACK_RATES.map(rate => `<option value="${rate}">${rate}×</option>`).join('');
+    }
+    playbackRateSelect.value = String(practiceSettings.rate);
+    renderLoop();
+}
+
+// remember where a long track is, forgetting it near the start or the end
+function savePosition() {
+    if (!nowPlaying || !audio.duration || audio.duration < RESUME_MIN_DURATION) return;
+    const id = nowPlaying.id;
+    const position = audio.currentTime;
+    const next = { ...playbackPositions };
+    if (position < RESUME_MARGIN || position > audio.duration - RESUME_MARGIN) {
+        if (!next[id]) return;
+        delete next[id];
+    } else {
+        next[id] = { position: Math.floor(position), savedAt: Date.now() };
+        const ids = Object.keys(next).sort((a, b) => next[b].savedAt - next[a].savedAt);
+        ids.slice(POSITIONS_LIMIT).forEach(old => delete next[old]);
+    }
+    storage.set('positions', next);
+}
+
+// a track is about to load: drop another track's loop, look up where this one was left
+function preparePractice(hymn) {
+    if (practiceLoop && practiceLoop.hymnId !== hymn.id) practiceLoop = null;
+    const saved = playbackPositions[hymn.id];
+    pendingResume = saved && Number.isFinite(saved.position) ? { hymnId: hymn.id, position: saved.position } : null;
+}
+
+// loadedmetadata: the duration is known, so resume if the track is long enough
+function applyResume() {
+    const resume = pendingResume;
+    pendingResume = null;
+    if (!resume || !nowPlaying || resume.hymnId !== nowPlaying.id) return;
+    if (audio.duration < RESUME_MIN_DURATION || resume.position > audio.duration - RESUME_MARGIN) return;
+    audio.currentTime = resume.position;
+    showToast(t('Resuming at {time}', { time: formatTime(resume.position) }));
+}
+
+function togglePracticeMode() {
+    setPracticeSettings({ open: !practiceSettings.open });
+}
+
+// in practice mode: Space plays/pauses, Left/Right skip within the open hymn's
+// track (otherwise they still turn pages), Up/Down change the speed
+function onPracticeKeydown(e) {
+    if (!practiceSettings.open || !currentHymn || !hymnDetail.classList.contains('active') || cueRecording) return;
+    if (e.defaultPrevented || !shortcutsAllowed(e) || !canPlay(currentHymn)) return;
+    if (e.key === ' ') {
+        // a focused button takes Space itself
+        if (e.target instanceof Element && e.target.closest('button')) return;
+        togglePlayback();
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        if (!isDetailPlaying()) return;
+        skipBy(e.key === 'ArrowRight' ? SKIP_SECONDS : -SKIP_SECONDS);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        stepPlaybackRate(e.key === 'ArrowUp' ? 1 : -1);
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// ---------- Media Session (lock screen / hardware media keys) ----------
+function updateMediaSession() {
+    if (!('mediaSession' in navigator) || !nowPlaying) return;
+    try {
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: nowPlaying.title,
+            artist: `Hymn ${nowPlaying.id}`,
+            album: 'Hymn Haven',
+            artwork: [{ src: 'icons/icon.svg', sizes: '512x512', type: 'image/svg+xml' }]
+        });
+    } catch (err) {
+        // MediaMetadata missing in older browsers
+    }
+}
+
+function updateMediaPosition() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !audio.duration) return;
+    try {
+        navigator.mediaSession.setPositionState({
+            duration: audio.duration,
+            playbackRate: audio.playbackRate,
+            position: Math.min(audio.currentTime, audio.duration)
+        });
+    } catch (err) {
+        // ignore invalid intermediate states while seeking
+    }
+}
+
+function setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+    const handlers = {
+        play: () => playAudio(),
+        pause: () => pauseAudio(),
+        stop: () => stopPlayback(),
+        previoustrack: () => prevTrack(),
+        nexttrack: () => nextTrack(),
+        seekbackward: (d) => { audio.currentTime = Math.max(0, audio.currentTime - (d.seekOffset || 10)); },
+        seekforward: (d) => { audio.currentTime = Math.min(audio.duration || 0, audio.currentTime + (d.seekOffset || 10)); },
+        seekto: (d) => { audio.currentTime = d.seekTime; }
+    };
+    for (const [action, handler] of Object.entries(handlers)) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (err) {
+            // action not supported by this browser
+        }
+    }
+}
+
+// update progress (throttled to reduce layout thrashing)
+const updateProgress = throttle(() => {
+    if (!audio.duration) return;
+    const pct = (audio.currentTime / audio.duration) * 100;
+    miniSeek.value = String(Math.round(pct * 10));
+    miniCurrentTimeEl.textContent = formatTime(audio.currentTime);
+    miniDurationEl.textContent = formatTime(audio.duration);
+    if (isDetailPlaying()) {
+        progressBar.style.width = `${pct}%`;
+        currentTimeEl.textContent = formatTime(audio.currentTime);
+    }
+}, 150);
+
+// set progress from click / touch
+function setProgress(e) {
+    if (!audio.duration || !isDetailPlaying()) return;
+    // support pointer events and touch — use boundingClientRect for accurate coords
     const rect = progressContainer.getBoundingClientRect();
     const clientX = (e.clientX !== undefined) ? e.clientX : (e.touches && e.touches[0] && e.touches[0].clientX) || 0;
     const clickX = clientX - rect.left;
@@ -371,142 +1701,3385 @@ function setProgress(e) {
     updateProgress();
 }
 
-// toggle favorite (efficient: updates localStorage and a single card)
-function toggleFavorite(hymnId) {
-    const id = Number(hymnId);
-    const idx = favorites.indexOf(id);
-    if (idx === -1) {
-        favorites.push(id);
-        showToast('Added to Favorites');
-    } else {
-        favorites.splice(idx, 1);
-        showToast('Removed from Favorites');
-    }
-    localStorage.setItem('favorites', JSON.stringify(favorites));
-    // update displays that might show this hymn
-    updateFavoritesDisplay();
-    // update open detail favorite btn if same hymn
-    if (currentHymn && currentHymn.id === id) {
-        const isFav = favorites.includes(id);
-        favoriteBtn.innerHTML = `<i class="${isFav ? 'fas' : 'far'} fa-heart"></i>
-                                 <span>${isFav ? 'Remove from' : 'Add to'} Favorites</span>`;
-    }
-    // update card in lists if present (targeted)
-    updateHymnCard(id);
+// toggle favorite (the favorites subscription updates the lists and cards)
+function toggleFavorite(hymnId) {
+    const id = Number(hymnId);
+    if (favorites.includes(id)) {
+        storage.set('favorites', favorites.filter(f => f !== id));
+        showToast(t('Removed from Favorites'));
+    } else {
+        storage.set('favorites', favorites.concat(id));
+        showToast(t('Added to Favorites'));
+    }
+}
+
+function updateDetailFavoriteBtn() {
+    if (!currentHymn) return;
+    const isFav = favorites.includes(currentHymn.id);
+    favoriteBtn.innerHTML = `<i class="${isFav ? 'fas' : 'far'} fa-heart"></i>
+                             <span>${t(isFav ? 'Remove from Favorites' : 'Add to Favorites')}</span>`;
+}
+
+// update favorites container
+function updateFavoritesDisplay() {
+    const favHymns = hymns.filter(h => favorites.includes(h.id));
+    renderHymnsList(favHymns, favoritesContainer);
+}
+
+// export/import/reset
+// Exports carry a schema version so older files can be migrated on import:
+//   v1 — { favorites, notes, moods } (no version field)
+//   v2 — adds services, app and exportedAt
+//   v3 — notes are lists of entries (see Notes)
+//   v4 — moods are lists of tag ids; adds customTags (see Tags)
+const EXPORT_SCHEMA_VERSION = 4;
+
+const importMigrations = {
+    1: (data) => ({ ...data, services: Array.isArray(data.services) ? data.services : [], schemaVersion: 2 }),
+    2: (data) => ({ ...data, notes: migrateNotes(data.notes, validTime(data.exportedAt) ? data.exportedAt : undefined), schemaVersion: 3 }),
+    3: (data) => ({ ...data, moods: migrateMoods(data.moods), customTags: Array.isArray(data.customTags) ? data.customTags : [], schemaVersion: 4 })
+};
+
+function exportData() {
+    const data = {
+        app: 'hymn-haven',
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        favorites,
+        notes,
+        moods,
+        customTags,
+        services
+    };
+    downloadFile(`hymn-haven-data-${localDateString()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    showToast(t('Data exported'));
+}
+
+function downloadFile(name, text, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+// bring an import up to EXPORT_SCHEMA_VERSION (throws on files we can't read)
+function migrateImport(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(t('This file is not a Hymn Haven export'));
+    }
+    let data = raw;
+    let version = Number(data.schemaVersion) || 1;
+    if (version > EXPORT_SCHEMA_VERSION) {
+        throw new Error(t('This file was exported by a newer version of the app'));
+    }
+    while (version < EXPORT_SCHEMA_VERSION) {
+        data = importMigrations[version](data);
+        version = data.schemaVersion;
+    }
+    return { data, fromVersion: Number(raw.schemaVersion) || 1 };
+}
+
+// keep only well-formed entries for hymns in this catalog; report everything dropped
+function validateImport(data) {
+    const known = new Set(hymns.map(h => h.id));
+    const unknownIds = new Set();
+    const warnings = [];
+    const checkId = (value) => {
+        const id = Number(value);
+        if (!Number.isInteger(id)) return null;
+        if (!known.has(id)) {
+            unknownIds.add(id);
+            return null;
+        }
+        return id;
+    };
+
+    const clean = { favorites: [], notes: {}, moods: {}, customTags: [], services: [] };
+
+    if (data.favorites !== undefined && !Array.isArray(data.favorites)) warnings.push(t('Favorites are not a list and were skipped'));
+    for (const value of Array.isArray(data.favorites) ? data.favorites : []) {
+        const id = checkId(value);
+        if (id !== null && !clean.favorites.includes(id)) clean.favorites.push(id);
+    }
+
+    const notesIn = (data.notes && typeof data.notes === 'object') ? data.notes : {};
+    for (const [key, list] of Object.entries(notesIn)) {
+        const id = checkId(key);
+        if (id === null) continue;
+        const entries = cleanNoteEntries(list);
+        const dropped = (Array.isArray(list) ? list.length : 1) - entries.length;
+        if (dropped) warnings.push(tn('{count} malformed note for hymn {number} skipped', '{count} malformed notes for hymn {number} skipped', dropped, { number: id }));
+        if (entries.length) clean.notes[id] = entries;
+    }
+
+    for (const tag of Array.isArray(data.customTags) ? data.customTags : []) {
+        if (!isPlainObject(tag) || typeof tag.id !== 'string' || !tag.id || BUILTIN_TAGS.some(t => t.id === tag.id)
+            || typeof tag.name !== 'string' || !tag.name.trim() || clean.customTags.some(t => t.id === tag.id)) {
+            warnings.push(t('A malformed tag was skipped'));
+            continue;
+        }
+        clean.customTags.push({ id: tag.id, name: tag.name.trim(), color: TAG_COLOR_RE.test(tag.color) ? tag.color : BUILTIN_TAGS[0].color });
+    }
+    const knownTags = new Set(allTags().concat(clean.customTags).map(tag => tag.id));
+
+    const moodsIn = (data.moods && typeof data.moods === 'object') ? data.moods : {};
+    for (const [key, tags] of Object.entries(moodsIn)) {
+        const id = checkId(key);
+        if (id === null) continue;
+        if (!Array.isArray(tags)) {
+            warnings.push(t('Tags for hymn {number} are not a list and were skipped', { number: id }));
+            continue;
+        }
+        const unknown = tags.filter(tag => !knownTags.has(tag));
+        if (unknown.length) {
+            warnings.push(t('Unknown tag {tags} for hymn {number} was skipped', { tags: unknown.map(tag => `"${tag}"`).join(', '), number: id }));
+        }
+        const known = [...new Set(tags.filter(tag => knownTags.has(tag)))];
+        if (known.length) clean.moods[id] = known;
+    }
+
+    for (const service of Array.isArray(data.services) ? data.services : []) {
+        if (!service || typeof service !== 'object' || !Array.isArray(service.entries)) {
+            warnings.push(t('A malformed service was skipped'));
+            continue;
+        }
+        const entries = service.entries
+            .filter(entry => entry && checkId(entry.hymnId) !== null)
+            .map(entry => ({
+                hymnId: Number(entry.hymnId),
+                stanzas: Array.isArray(entry.stanzas) ? entry.stanzas.map(Number).filter(Number.isInteger) : null,
+                note: typeof entry.note === 'string' ? entry.note : ''
+            }));
+        // a missing or repeated id gets a fresh one, so each service stays separate
+        const id = service.id && !clean.services.some(s => s.id === String(service.id)) ? String(service.id) : uniqueId();
+        clean.services.push({
+            id,
+            name: String(service.name || t('Imported Service')),
+            date: typeof service.date === 'string' ? service.date : '',
+            entries
+        });
+    }
+
+    return { data: clean, unknownIds: [...unknownIds].sort((a, b) => a - b), warnings };
+}
+
+// note entries are matched by id; an entry both sides have but with
+// different text (or anchor) is a conflict
+const sameNote = (a, b) => a.text === b.text && noteAnchorValue(a.anchor) === noteAnchorValue(b.anchor);
+
+function noteConflictsFor(hymnId, incomingEntries) {
+    const mine = hymnNotes(hymnId);
+    return incomingEntries
+        .map(theirs => ({ mine: mine.find(e => e.id === theirs.id), theirs }))
+        .filter(pair => pair.mine && !sameNote(pair.mine, pair.theirs));
+}
+
+// what an import would change, for the preview dialog
+function diffImport(incoming) {
+    const countMissing = (from, other) => Object.entries(from)
+        .reduce((n, [id, entries]) => n + entries.filter(e => !(other[id] || []).some(o => o.id === e.id)).length, 0);
+    const noteConflicts = Object.keys(incoming.notes)
+        .filter(id => noteConflictsFor(id, incoming.notes[id]).length)
+        .map(Number);
+    return {
+        newFavorites: incoming.favorites.filter(id => !favorites.includes(id)).length,
+        lostFavorites: favorites.filter(id => !incoming.favorites.includes(id)).length,
+        newNotes: countMissing(incoming.notes, notes),
+        lostNotes: countMissing(notes, incoming.notes),
+        noteConflicts,
+        moods: Object.keys(incoming.moods).filter(id => userTagIds(id).join() !== incoming.moods[id].join()).length,
+        newTags: incoming.customTags.filter(tag => !customTags.some(t => t.id === tag.id)).length,
+        newServices: incoming.services.filter(s => !findService(s.id)).length
+    };
+}
+
+// mode: 'replace' | 'merge'; resolutions: { [hymnId]: 'mine' | 'theirs' | 'both' }
+function applyImport(incoming, mode, resolutions = {}) {
+    // work on copies so subscribers can compare against the previous values
+    favorites = favorites.slice();
+    notes = { ...notes };
+    moods = { ...moods };
+    customTags = customTags.slice();
+    services = services.slice();
+    if (mode === 'replace') {
+        favorites = incoming.favorites.slice();
+        notes = { ...incoming.notes };
+        moods = { ...incoming.moods };
+        customTags = incoming.customTags.slice();
+        services = incoming.services.slice();
+        currentServiceId = null;
+    } else {
+        for (const id of incoming.favorites) if (!favorites.includes(id)) favorites.push(id);
+        for (const [id, entries] of Object.entries(incoming.notes)) {
+            const choice = resolutions[id] || 'mine';
+            const merged = hymnNotes(id).slice();
+            for (const theirs of entries) {
+                const index = merged.findIndex(e => e.id === theirs.id);
+                if (index === -1) merged.push(theirs);
+                else if (sameNote(merged[index], theirs)) continue;
+                else if (choice === 'theirs') merged[index] = theirs;
+                else if (choice === 'both') merged.push({ ...theirs, id: uniqueId() });
+            }
+            notes[id] = merged.sort((a, b) => a.created.localeCompare(b.created));
+        }
+        // tags add up; a custom tag both sides have keeps this device's name and colour
+        for (const tag of incoming.customTags) if (!customTags.some(t => t.id === tag.id)) customTags.push(tag);
+        for (const [id, tags] of Object.entries(incoming.moods)) moods[id] = [...new Set(userTagIds(id).concat(tags))];
+        for (const service of incoming.services) if (!findService(service.id)) services.push(service);
+    }
+    saveAllUserData();
+    updateServicesDisplay();
+}
+
+function saveAllUserData() {
+    storage.set('favorites', favorites);
+    storage.set('notes', notes);
+    storage.set('customTags', customTags);
+    storage.set('moods', moods);
+    saveServices();
+}
+
+// ---------- Import preview dialog ----------
+let pendingImport = null;            // validateImport() result waiting for confirmation
+
+function openImportPreview(fileName, validated, fromVersion) {
+    pendingImport = validated;
+    const diff = diffImport(validated.data);
+    const hymnTitle = (id) => {
+        const hymn = hymnById(id);
+        return hymn ? `${id} – ${hymn.title}` : String(id);
+    };
+    const conflicts = diff.noteConflicts.map(id => `
+        <li class="import-conflict" data-id="${id}">
+            <strong>${escapeHtml(hymnTitle(id))}</strong>
+            ${noteConflictsFor(id, validated.data.notes[id]).map(pair => `
+                <div class="import-conflict-notes">
+                    <p><span>${t('Yours:')}</span> ${escapeHtml(pair.mine.text)}</p>
+                    <p><span>${t('Imported:')}</span> ${escapeHtml(pair.theirs.text)}</p>
+                </div>
+            `).join('')}
+            <select data-conflict="${id}">
+                <option value="mine">${t('Keep mine')}</option>
+                <option value="theirs">${t('Use imported')}</option>
+                <option value="both">${t('Keep both')}</option>
+            </select>
+        </li>
+    `).join('');
+
+    importSummary.innerHTML = `
+        <p class="import-file">${escapeHtml(fileName)}${fromVersion < EXPORT_SCHEMA_VERSION ? ` · ${t('older format (v{version}), will be upgraded', { version: fromVersion })}` : ''}</p>
+        <ul class="import-changes">
+            <li>${t('Favorites: {count} in file · {added} new', { count: validated.data.favorites.length, added: diff.newFavorites })}</li>
+            <li>${t('Notes: {count} in file · {added} new · {conflicts} different from yours', {
+                count: Object.values(validated.data.notes).reduce((n, entries) => n + entries.length, 0),
+                added: diff.newNotes,
+                conflicts: diff.noteConflicts.length
+            })}</li>
+            <li>${tn('Tags: {count} hymn tagged differently', 'Tags: {count} hymns tagged differently', diff.moods)}
+                · ${tn('{count} new tag', '{count} new tags', diff.newTags)}</li>
+            <li>${t('Services: {count} in file · {added} new', { count: validated.data.services.length, added: diff.newServices })}</li>
+        </ul>
+        ${validated.unknownIds.length ? `<p class="import-warning"><i class="fas fa-exclamation-triangle"></i>
+            ${tn('Skipping {count} unknown hymn number:', 'Skipping {count} unknown hymn numbers:', validated.unknownIds.length)}
+            ${validated.unknownIds.slice(0, 20).join(', ')}${validated.unknownIds.length > 20 ? '…' : ''}</p>` : ''}
+        ${validated.warnings.map(w => `<p class="import-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(w)}</p>`).join('')}
+        <div class="import-mode">
+            <label><input type="radio" name="import-mode" value="merge" checked> ${t('Merge with my data')}</label>
+            <label><input type="radio" name="import-mode" value="replace"> ${t('Replace my data')}</label>
+        </div>
+        <p class="import-replace-warning hidden" id="import-replace-warning">
+            ${tn('Replacing removes {count} favorite', 'Replacing removes {count} favorites', diff.lostFavorites)}
+            ${tn('and {count} note that are not in this file.', 'and {count} notes that are not in this file.', diff.lostNotes)}
+        </p>
+        ${conflicts ? `<h4 class="import-conflicts-title">${t('Note conflicts')}</h4><ul class="import-conflicts">${conflicts}</ul>` : ''}
+    `;
+    importModal.classList.add('active');
+    trapFocus(importModal);
+}
+
+function closeImportPreview() {
+    importModal.classList.remove('active');
+    releaseFocus(importModal);
+    pendingImport = null;
+}
+
+function confirmImport() {
+    if (!pendingImport) return;
+    const modeInput = importSummary.querySelector('input[name="import-mode"]:checked');
+    const mode = modeInput ? modeInput.value : 'merge';
+    const resolutions = {};
+    importSummary.querySelectorAll('select[data-conflict]').forEach(sel => {
+        resolutions[sel.dataset.conflict] = sel.value;
+    });
+    applyImport(pendingImport.data, mode, resolutions);
+    closeImportPreview();
+    showToast(t(mode === 'replace' ? 'Data replaced' : 'Data merged'));
+}
+
+function importData() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+    input.onchange = (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            try {
+                const { data, fromVersion } = migrateImport(JSON.parse(ev.target.result));
+                openImportPreview(file.name, validateImport(data), fromVersion);
+            } catch (err) {
+                console.error('Import error', err);
+                showToast(err instanceof SyntaxError ? t('Import failed: not a JSON file') : t('Import failed: {reason}', { reason: err.message }), 2500);
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+function resetData() {
+    if (!confirm(t('Reset all saved data? This cannot be undone.'))) return;
+    favorites = [];
+    notes = {};
+    moods = {};
+    customTags = [];
+    services = [];
+    currentServiceId = null;
+    saveAllUserData();
+    storage.set('history', []);
+    storage.set('positions', {});
+    storage.set('dailyHistory', []);
+    userAudio.clear().catch(err => console.error('Could not remove your recordings', err));
+    userRecordings.clear();
+    if (userRecordingUrl) stopPlayback();
+    applyAudioAvailability();
+    updateServicesDisplay();
+    showToast(t('All data reset'));
+}
+
+// ---------- Notes ----------
+// notes[hymnId] is a list of entries, oldest first:
+//   { id, text, created, edited, anchor, history }
+// anchor is null for the whole hymn or { key, line } for a lyrics block
+// (sungBlockKeys) and optionally one of its lines; history keeps earlier
+// versions ({ text, anchor, edited }, newest last). Text may use **bold**,
+// *italic* and "- " list lines.
+const NOTE_HISTORY_LIMIT = 20;
+const NOTE_ANCHOR_KEY_RE = /^[bsr]\d+$/;
+let editingNoteId = null;          // entry being edited in the notes modal
+let noteUndoStack = [];            // [{ hymnId, before, after }] for this session
+let notesQuery = '';
+
+const hymnNotes = (hymnId) => notes[hymnId] || [];
+
+function createNoteEntry(text, anchor = null, when = new Date().toISOString()) {
+    return { id: uniqueId(), text, created: when, edited: when, anchor, history: [] };
+}
+
+// schema v2 kept one string per hymn; each becomes a single unanchored entry
+function migrateNotes(value, when) {
+    if (!isPlainObject(value)) return value;
+    const out = {};
+    for (const [id, entry] of Object.entries(value)) {
+        if (Array.isArray(entry)) out[id] = entry;
+        else if (typeof entry === 'string' && entry.trim()) out[id] = [createNoteEntry(entry.trim(), null, when)];
+    }
+    return out;
+}
+
+const validTime = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+function cleanNoteAnchor(anchor) {
+    if (!isPlainObject(anchor) || !NOTE_ANCHOR_KEY_RE.test(anchor.key)) return null;
+    const line = Number.isInteger(anchor.line) && anchor.line >= 0 ? anchor.line : null;
+    return { key: anchor.key, line };
+}
+
+// well-formed entries only (for imports); returns [] when nothing is usable
+function cleanNoteEntries(list) {
+    const now = new Date().toISOString();
+    const seen = new Set();
+    const out = [];
+    for (const entry of Array.isArray(list) ? list : []) {
+        if (!isPlainObject(entry) || typeof entry.text !== 'string' || !entry.text.trim()) continue;
+        const id = typeof entry.id === 'string' && entry.id && !seen.has(entry.id) ? entry.id : uniqueId();
+        seen.add(id);
+        const created = validTime(entry.created) ? entry.created : now;
+        out.push({
+            id,
+            text: entry.text,
+            created,
+            edited: validTime(entry.edited) ? entry.edited : created,
+            anchor: cleanNoteAnchor(entry.anchor),
+            history: (Array.isArray(entry.history) ? entry.history : [])
+                .filter(v => isPlainObject(v) && typeof v.text === 'string')
+                .slice(-NOTE_HISTORY_LIMIT)
+                .map(v => ({ text: v.text, anchor: cleanNoteAnchor(v.anchor), edited: validTime(v.edited) ? v.edited : created }))
+        });
+    }
+    return out;
+}
+
+// every change to a hymn's notes goes through here so it can be undone
+function setHymnNotes(hymnId, entries, { undoable = true } = {}) {
+    const before = notes[hymnId];
+    const next = { ...notes };
+    if (entries.length) next[hymnId] = entries;
+    else delete next[hymnId];
+    if (undoable) noteUndoStack.push({ hymnId, before, after: next[hymnId] });
+    storage.set('notes', next);
+}
+
+// revert the last change to this hymn's notes, unless they changed since
+// (in another tab, by an import)
+function undoNoteChange() {
+    if (!currentHymn) return;
+    const index = noteUndoStack.map(c => c.hymnId).lastIndexOf(currentHymn.id);
+    if (index === -1) return;
+    const [change] = noteUndoStack.splice(index, 1);
+    if (notes[change.hymnId] !== change.after) {
+        noteUndoStack = noteUndoStack.filter(c => c.hymnId !== change.hymnId);
+        showToast(t('These notes changed since, nothing to undo'));
+    } else {
+        setHymnNotes(change.hymnId, change.before || [], { undoable: false });
+        showToast(t('Undone'));
+    }
+    updateNotesModal();
+}
+
+// ---------- Note formatting ----------
+const formatNoteInline = (text) => escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+
+// note text -> HTML: paragraphs, **bold**, *italic* and "- " bullet lists
+function formatNoteHtml(text) {
+    const out = [];
+    let items = [];
+    const flush = () => {
+        if (items.length) out.push(`<ul>${items.join('')}</ul>`);
+        items = [];
+    };
+    for (const line of String(text || '').split('\n')) {
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item) {
+            items.push(`<li>${formatNoteInline(item[1])}</li>`);
+            continue;
+        }
+        flush();
+        if (line.trim()) out.push(`<p>${formatNoteInline(line)}</p>`);
+    }
+    flush();
+    return out.join('');
+}
+
+// wrap the selection in ** / *, or turn the selected lines into a list
+function applyNoteFormat(format) {
+    const { selectionStart: start, selectionEnd: end, value } = notesTextarea;
+    if (format === 'list') {
+        const from = value.lastIndexOf('\n', start - 1) + 1;
+        const lines = value.slice(from, end).split('\n').map(line => (/^\s*-\s/.test(line) ? line : `- ${line}`));
+        notesTextarea.setRangeText(lines.join('\n'), from, end, 'end');
+    } else {
+        const mark = format === 'bold' ? '**' : '*';
+        notesTextarea.setRangeText(`${mark}${value.slice(start, end)}${mark}`, start, end, 'end');
+        if (start === end) notesTextarea.setSelectionRange(start + mark.length, start + mark.length);
+    }
+    notesTextarea.focus();
+}
+
+const formatNoteTime = (iso) => new Date(iso).toLocaleString(dateLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+
+// ---------- Note anchors ----------
+// "Stanza 2", "Refrain after stanza 2"… for a block key; the model may be
+// missing (lyrics not loaded yet), then stanzas are counted instead
+function lyricsBlockLabel(key, model) {
+    const index = Number(key.slice(1));
+    const stanza = model ? model.stanzas[index] : null;
+    const number = stanza && stanza.number !== null ? stanza.number : index + 1;
+    if (key[0] === 's') return t('Stanza {number}', { number });
+    if (key[0] === 'r') {
+        return model && model.stanzas.filter(s => s.refrain).length <= 1 ? t('Refrain') : t('Refrain after stanza {number}', { number });
+    }
+    return t('Opening');
+}
+
+function noteAnchorLabel(anchor, model) {
+    if (!anchor) return t('Whole hymn');
+    const block = lyricsBlockLabel(anchor.key, model);
+    return anchor.line === null ? block : t('{block}, line {line}', { block, line: anchor.line + 1 });
+}
+
+const noteAnchorValue = (anchor) => (anchor ? `${anchor.key}${anchor.line === null ? '' : `:${anchor.line}`}` : '');
+
+function parseNoteAnchor(value) {
+    const m = /^([bsr]\d+)(?::(\d+))?$/.exec(value || '');
+    return m ? { key: m[1], line: m[2] === undefined ? null : Number(m[2]) } : null;
+}
+
+// the anchor <select>: whole hymn, then each block and its lines in sung order
+function fillNoteAnchorOptions(model, selected) {
+    const order = sungOrder(model);
+    const keys = sungBlockKeys(model, order);
+    const groups = order.map((block, i) => {
+        const label = lyricsBlockLabel(keys[i], model);
+        const lines = block.lines.map((line, n) => `<option value="${keys[i]}:${n}">${escapeHtml(line)}</option>`);
+        return `<optgroup label="${escapeHtml(label)}"><option value="${keys[i]}">${escapeHtml(t('All of {block}', { block: label }))}</option>${lines.join('')}</optgroup>`;
+    });
+    noteAnchorSelect.innerHTML = `<option value="">${escapeHtml(t('Whole hymn'))}</option>${groups.join('')}`;
+    noteAnchorSelect.value = noteAnchorValue(selected);
+    if (noteAnchorSelect.selectedIndex === -1) noteAnchorSelect.value = '';
+}
+
+// show anchored notes under their line (or at the end of their block) in the detail view
+function renderLyricsNotes() {
+    lyricsContainer.querySelectorAll('.lyrics-note').forEach(el => el.remove());
+    if (!currentHymn) return;
+    for (const entry of hymnNotes(currentHymn.id)) {
+        if (!entry.anchor) continue;
+        const blockEl = lyricsContainer.querySelector(`[data-key="${entry.anchor.key}"]`);
+        if (!blockEl) continue;
+        const lineEl = entry.anchor.line !== null ? blockEl.querySelectorAll('.lyrics-line')[entry.anchor.line] : null;
+        const noteEl = document.createElement('div');
+        noteEl.className = 'lyrics-note';
+        noteEl.dataset.noteId = entry.id;
+        noteEl.title = t('Edit note');
+        noteEl.innerHTML = `<i class="fas fa-sticky-note"></i><div class="note-text">${formatNoteHtml(entry.text)}</div>`;
+        if (lineEl) lineEl.after(noteEl);
+        else blockEl.appendChild(noteEl);
+    }
+}
+
+function updateNotesButton() {
+    const count = currentHymn ? hymnNotes(currentHymn.id).length : 0;
+    notesBtn.querySelector('span').textContent = count ? t('Notes ({count})', { count }) : t('Add Notes');
+}
+
+// ---------- Notes modal ----------
+// (the modal has its own route, #/hymn/<id>/notes, so Back closes it)
+function openNotesModal(noteId) {
+    if (!currentHymn) return;
+    editingNoteId = typeof noteId === 'string' ? noteId : null;
+    navigate(notesHash(currentHymn.id));
+}
+function closeNotesModal() { leaveOverlayRoute(); }
+function showNotesModal() {
+    if (!currentHymn || notesModal.classList.contains('active')) return;
+    const hymn = currentHymn;
+    if (!hymnNotes(hymn.id).some(entry => entry.id === editingNoteId)) editingNoteId = null;
+    notesTitle.textContent = t('Notes · {number} – {title}', { number: hymn.id, title: hymn.title });
+    updateNotesModal();
+    resetNoteComposer();
+    notesModal.classList.add('active');
+    trapFocus(notesModal);
+}
+function hideNotesModal() {
+    notesModal.classList.remove('active');
+    releaseFocus(notesModal);
+    editingNoteId = null;
+}
+
+function updateNotesModal() {
+    if (!currentHymn) return;
+    const model = parsedLyricsCache.get(currentHymn.id);
+    const entries = hymnNotes(currentHymn.id);
+    noteEntriesList.innerHTML = entries.length ? entries.map(entry => `
+        <li class="note-entry${entry.id === editingNoteId ? ' editing' : ''}" data-note-id="${entry.id}">
+            <div class="note-entry-meta">
+                <span class="note-anchor-label"><i class="fas fa-${entry.anchor ? 'thumbtack' : 'music'}"></i> ${escapeHtml(noteAnchorLabel(entry.anchor, model))}</span>
+                <time datetime="${entry.edited}" title="${escapeHtml(t('Created {time}', { time: formatNoteTime(entry.created) }))}">
+                    ${escapeHtml(t(entry.edited !== entry.created ? 'Edited {time}' : 'Added {time}', { time: formatNoteTime(entry.edited) }))}
+                </time>
+            </div>
+            <div class="note-text">${formatNoteHtml(entry.text)}</div>
+            <div class="note-entry-actions">
+                <button data-note-action="edit"><i class="fas fa-pen"></i> ${t('Edit')}</button>
+                ${entry.history.length ? `<button data-note-action="history"><i class="fas fa-clock-rotate-left"></i> ${t('History ({count})', { count: entry.history.length })}</button>` : ''}
+                <button data-note-action="delete"><i class="fas fa-trash-alt"></i> ${t('Delete')}</button>
+            </div>
+            <ol class="note-history hidden">
+                ${entry.history.map((version, i) => `
+                    <li data-version="${i}">
+                        <div class="note-entry-meta">
+                            <span class="note-anchor-label">${escapeHtml(noteAnchorLabel(version.anchor, model))}</span>
+                            <time datetime="${version.edited}">${escapeHtml(formatNoteTime(version.edited))}</time>
+                        </div>
+                        <div class="note-text">${formatNoteHtml(version.text)}</div>
+                        <button data-note-action="restore">${t('Restore this version')}</button>
+                    </li>
+                `).reverse().join('')}
+            </ol>
+        </li>
+    `).join('') : `<li class="note-empty">${t('No notes for this hymn yet')}</li>`;
+    notesUndo.disabled = !noteUndoStack.some(c => c.hymnId === currentHymn.id);
+}
+
+// empty composer, or the entry being edited
+async function resetNoteComposer() {
+    const hymn = currentHymn;
+    const entry = hymnNotes(hymn.id).find(e => e.id === editingNoteId);
+    notesTextarea.value = entry ? entry.text : '';
+    notesSave.textContent = t(entry ? 'Save Changes' : 'Add Note');
+    notesCancel.textContent = t(entry ? 'Cancel Edit' : 'Close');
+    noteEntriesList.querySelectorAll('.note-entry').forEach(el => el.classList.toggle('editing', el.dataset.noteId === editingNoteId));
+    const model = await getParsedLyrics(hymn);
+    if (currentHymn === hymn) fillNoteAnchorOptions(model, entry ? entry.anchor : null);
+}
+
+function editNote(noteId) {
+    editingNoteId = noteId;
+    resetNoteComposer();
+    notesTextarea.focus();
+}
+
+function saveNote() {
+    if (!currentHymn) return;
+    const text = notesTextarea.value.replace(/\s+$/, '');
+    if (!text.trim()) {
+        showToast(t('Write something first'));
+        return;
+    }
+    const anchor = parseNoteAnchor(noteAnchorSelect.value);
+    const entries = hymnNotes(currentHymn.id);
+    const current = entries.find(e => e.id === editingNoteId);
+    if (!current) {
+        setHymnNotes(currentHymn.id, entries.concat(createNoteEntry(text, anchor)));
+        showToast(t('Note added'));
+    } else if (current.text !== text || noteAnchorValue(current.anchor) !== noteAnchorValue(anchor)) {
+        setHymnNotes(currentHymn.id, entries.map(e => (e === current ? reviseNote(e, text, anchor) : e)));
+        showToast(t('Note saved'));
+    }
+    editingNoteId = null;
+    resetNoteComposer();
+}
+
+// a new version of an entry; the old one goes into its history
+function reviseNote(entry, text, anchor) {
+    const history = entry.history.concat({ text: entry.text, anchor: entry.anchor, edited: entry.edited });
+    return { ...entry, text, anchor, edited: new Date().toISOString(), history: history.slice(-NOTE_HISTORY_LIMIT) };
+}
+
+function deleteNote(noteId) {
+    if (!confirm(t('Delete this note?'))) return;
+    setHymnNotes(currentHymn.id, hymnNotes(currentHymn.id).filter(e => e.id !== noteId));
+    if (editingNoteId === noteId) {
+        editingNoteId = null;
+        resetNoteComposer();
+    }
+    showToast(t('Note deleted'));
+}
+
+function restoreNoteVersion(noteId, versionIndex) {
+    const entries = hymnNotes(currentHymn.id);
+    const entry = entries.find(e => e.id === noteId);
+    const version = entry && entry.history[versionIndex];
+    if (!version) return;
+    setHymnNotes(currentHymn.id, entries.map(e => (e === entry ? reviseNote(e, version.text, version.anchor) : e)));
+    showToast(t('Earlier version restored'));
+}
+
+function onNoteEntryClick(e) {
+    const btn = e.target.closest('[data-note-action]');
+    const entryEl = btn && btn.closest('.note-entry');
+    if (!entryEl || !currentHymn) return;
+    const noteId = entryEl.dataset.noteId;
+    const action = btn.dataset.noteAction;
+    if (action === 'edit') editNote(noteId);
+    else if (action === 'delete') deleteNote(noteId);
+    else if (action === 'history') entryEl.querySelector('.note-history').classList.toggle('hidden');
+    else if (action === 'restore') restoreNoteVersion(noteId, Number(btn.closest('[data-version]').dataset.version));
+}
+
+// ---------- Notes page ----------
+// every note, most recently edited first, filtered by the search box
+function updateNotesDisplay() {
+    if (!notesList) return;
+    const words = normalizeForSearch(notesQuery).split(' ').filter(Boolean);
+    const all = [];
+    for (const [id, entries] of Object.entries(notes)) {
+        const hymn = hymnById(id);
+        if (!hymn) continue;
+        for (const entry of entries) all.push({ hymn, entry });
+    }
+    const found = all
+        .filter(({ hymn, entry }) => {
+            const haystack = ` ${normalizeForSearch(`${hymn.id} ${hymn.title} ${entry.text}`)} `;
+            return words.every(w => haystack.includes(w));
+        })
+        .sort((a, b) => b.entry.edited.localeCompare(a.entry.edited));
+
+    if (!found.length) {
+        notesList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-sticky-note"></i>
+                <h3>${t(all.length ? 'No matching notes' : 'No notes yet')}</h3>
+                <p>${t(all.length ? 'Try other words' : 'Open a hymn and tap Add Notes to write one')}</p>
+            </div>
+        `;
+        return;
+    }
+    notesList.innerHTML = found.map(({ hymn, entry }) => `
+        <article class="note-card" data-hymn-id="${hymn.id}" data-note-id="${entry.id}">
+            <div class="hymn-number">${hymn.id}</div>
+            <div class="note-card-body">
+                <h3>${escapeHtml(hymn.title)}</h3>
+                <p class="note-entry-meta">
+                    ${escapeHtml(noteAnchorLabel(entry.anchor, parsedLyricsCache.get(hymn.id)))} ·
+                    <time datetime="${entry.edited}">${escapeHtml(formatNoteTime(entry.edited))}</time>
+                </p>
+                <div class="note-text">${formatNoteHtml(entry.text)}</div>
+            </div>
+        </article>
+    `).join('');
+}
+
+// ---------- Tags (moods) ----------
+// A hymn's tags are its catalog mood (hymns.json "mood", never changed here)
+// plus the ones the user added: moods[hymnId] lists tag ids. Tags are the
+// built-in moods below and the user's own, kept in storage as
+// "customTags": [{ id, name, color }].
+const BUILTIN_TAGS = [
+    { id: 'worshipful', name: 'Worship', icon: 'fa-hands-praying', color: '#6C63FF' },
+    { id: 'happy', name: 'Happy', icon: 'fa-laugh', color: '#E8A33D' },
+    { id: 'calm', name: 'Calm', icon: 'fa-peace', color: '#2BAE8E' },
+    { id: 'sad', name: 'Sad', icon: 'fa-sad-tear', color: '#4A7BD0' }
+];
+const TAG_COLOR_RE = /^#[0-9a-f]{6}$/i;
+const CARD_TAG_LIMIT = 3;
+
+// built-in names are shown in the UI language
+const allTags = () => BUILTIN_TAGS.map(tag => ({ ...tag, name: t(tag.name) })).concat(customTags);
+const tagById = (id) => allTags().find(tag => tag.id === id);
+const userTagIds = (hymnId) => moods[hymnId] || [];
+
+// schema v3 kept one mood per hymn
+function migrateMoods(value) {
+    if (!isPlainObject(value)) return value;
+    const out = {};
+    for (const [id, mood] of Object.entries(value)) {
+        const tags = Array.isArray(mood) ? mood : [mood];
+        if (tags.length) out[id] = tags.filter(tag => typeof tag === 'string');
+    }
+    return out;
+}
+
+// catalog mood first, then the user's tags; ids of deleted tags are skipped
+function hymnTagIds(hymn) {
+    const ids = hymn.mood ? [hymn.mood].concat(userTagIds(hymn.id)) : userTagIds(hymn.id);
+    return [...new Set(ids)].filter(id => tagById(id));
+}
+
+const tagStyle = (tag) => `style="--tag-color: ${tag.color}"`;
+
+function tagChipsHtml(hymn) {
+    const tags = hymnTagIds(hymn).map(tagById);
+    const chips = tags.slice(0, CARD_TAG_LIMIT)
+        .map(tag => `<span class="tag-chip${tag.id === hymn.mood ? ' catalog' : ''}" ${tagStyle(tag)}>${escapeHtml(tag.name)}</span>`);
+    if (tags.length > CARD_TAG_LIMIT) chips.push(`<span class="tag-chip more">+${tags.length - CARD_TAG_LIMIT}</span>`);
+    return chips.join('');
+}
+
+// one button per tag; used by the mood page filter and the detail view
+function tagOptionsHtml(activeIds, catalogId) {
+    return allTags().map(tag => `
+        <button class="mood-option${activeIds.includes(tag.id) ? ' active' : ''}" data-tag="${tag.id}" ${tagStyle(tag)}
+                ${tag.id === catalogId ? `title="${t('From the hymnal')}"` : ''}>
+            <i class="fas ${tag.icon || 'fa-tag'}"></i>
+            <span>${escapeHtml(tag.name)}</span>
+            ${tag.id === catalogId ? '<i class="fas fa-book tag-catalog-mark"></i>' : ''}
+        </button>
+    `).join('');
+}
+
+function updateDetailTags() {
+    if (!currentHymn) return;
+    detailTagOptions.innerHTML = tagOptionsHtml(hymnTagIds(currentHymn), currentHymn.mood);
+}
+
+function toggleHymnTag(tagId) {
+    if (!currentHymn) return;
+    const hymn = currentHymn;
+    const tag = tagById(tagId);
+    if (!tag) return;
+    if (tagId === hymn.mood) {
+        showToast(t('"{tag}" comes from the hymnal and stays', { tag: tag.name }));
+        return;
+    }
+    const current = userTagIds(hymn.id);
+    const tags = current.includes(tagId) ? current.filter(id => id !== tagId) : current.concat(tagId);
+    const next = { ...moods };
+    if (tags.length) next[hymn.id] = tags;
+    else delete next[hymn.id];
+    storage.set('moods', next);
+    showToast(t(current.includes(tagId) ? 'Removed "{tag}"' : 'Tagged "{tag}"', { tag: tag.name }));
+}
+
+// ---------- Custom tags ----------
+function createCustomTag(name, color) {
+    const clean = String(name || '').trim();
+    if (!clean) {
+        showToast(t('Name the tag first'));
+        return null;
+    }
+    const existing = allTags().find(tag => tag.name.toLowerCase() === clean.toLowerCase());
+    if (existing) return existing;
+    const tag = { id: `t${uniqueId()}`, name: clean, color: TAG_COLOR_RE.test(color) ? color : BUILTIN_TAGS[0].color };
+    storage.set('customTags', customTags.concat(tag));
+    return tag;
+}
+
+function updateCustomTag(id, changes) {
+    const name = changes.name !== undefined ? changes.name.trim() : undefined;
+    if (name === '' || (changes.color !== undefined && !TAG_COLOR_RE.test(changes.color))) return;
+    storage.set('customTags', customTags.map(tag => (tag.id === id ? { ...tag, ...changes, ...(name ? { name } : {}) } : tag)));
+}
+
+function deleteCustomTag(id) {
+    const tag = customTags.find(t => t.id === id);
+    if (!tag) return;
+    const used = Object.values(moods).filter(ids => ids.includes(id)).length;
+    const question = used
+        ? tn('Delete the tag "{tag}" from {count} hymn?', 'Delete the tag "{tag}" from {count} hymns?', used, { tag: tag.name })
+        : t('Delete the tag "{tag}"?', { tag: tag.name });
+    if (!confirm(question)) return;
+    const next = {};
+    for (const [hymnId, ids] of Object.entries(moods)) {
+        const kept = ids.filter(t => t !== id);
+        if (kept.length) next[hymnId] = kept;
+    }
+    storage.set('moods', next);
+    storage.set('customTags', customTags.filter(t => t.id !== id));
+    if (currentTagFilter.tags.includes(id)) {
+        const filter = { ...currentTagFilter, tags: currentTagFilter.tags.filter(t => t !== id) };
+        if (moodPage.classList.contains('active')) navigate(moodHash(filter), { replace: true });
+        else setTagFilter(filter);
+    }
+    showToast(t('Deleted "{tag}"', { tag: tag.name }));
+}
+
+// "New tag" forms in the detail view (also tags the open hymn) and in Settings
+function onTagFormSubmit(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const tag = createCustomTag(form.elements.name.value, form.elements.color.value);
+    if (!tag) return;
+    form.elements.name.value = '';
+    if (form.closest('#hymn-detail') && currentHymn && !hymnTagIds(currentHymn).includes(tag.id)) toggleHymnTag(tag.id);
+    else showToast(t('Tag "{tag}" ready', { tag: tag.name }));
+}
+
+function renderCustomTagsSettings() {
+    const usage = (id) => Object.values(moods).filter(ids => ids.includes(id)).length;
+    customTagsList.innerHTML = customTags.length ? customTags.map(tag => `
+        <li class="custom-tag" data-tag-id="${tag.id}">
+            <input type="color" data-tag-field="color" value="${tag.color}" title="${t('Colour')}" aria-label="${t('Tag colour')}">
+            <input type="text" data-tag-field="name" value="${escapeHtml(tag.name)}" aria-label="${t('Tag name')}">
+            <span class="custom-tag-count">${tn('{count} hymn', '{count} hymns', usage(tag.id))}</span>
+            <button class="service-entry-remove" data-tag-action="delete" title="${t('Delete tag')}" aria-label="${t('Delete tag')}">
+                <i class="fas fa-trash-alt"></i>
+            </button>
+        </li>
+    `).join('') : `<li class="settings-status">${t('No tags of your own yet')}</li>`;
+}
+
+// ---------- Mood page filter ----------
+// any: hymns with at least one of the tags; all: hymns with every one
+function currentMoodList() {
+    const { tags, match } = currentTagFilter;
+    if (!tags.length) return hymns;
+    return hymns.filter(hymn => {
+        const ids = hymnTagIds(hymn);
+        return match === 'all' ? tags.every(id => ids.includes(id)) : tags.some(id => ids.includes(id));
+    });
+}
+
+function updateMoodDisplay() {
+    renderHymnsList(currentMoodList(), moodContainer);
+}
+
+function renderTagFilter() {
+    const { tags, match } = currentTagFilter;
+    tagFilterOptions.innerHTML = `
+        <button class="mood-option${tags.length ? '' : ' active'}" data-tag="">
+            <i class="fas fa-globe"></i>
+            <span>${t('All')}</span>
+        </button>
+        ${tagOptionsHtml(tags)}
+    `;
+    tagMatchToggle.querySelectorAll('[data-match]').forEach(btn => btn.classList.toggle('active', btn.dataset.match === match));
+    tagMatchToggle.classList.toggle('hidden', tags.length < 2);
+}
+
+// "calm,happy" (any of them) or "calm+happy" (all of them)
+function parseTagFilter(text) {
+    if (!text || text === 'all') return { tags: [], match: 'any' };
+    const match = text.includes('+') ? 'all' : 'any';
+    return { tags: [...new Set(text.split(/[+,]/).filter(Boolean))], match };
+}
+
+function onTagFilterClick(e) {
+    const btn = e.target.closest('[data-tag]');
+    if (!btn) return;
+    const id = btn.dataset.tag;
+    const { tags, match } = currentTagFilter;
+    const next = !id ? [] : (tags.includes(id) ? tags.filter(t => t !== id) : tags.concat(id));
+    navigate(moodHash({ tags: next, match }), { replace: true });
+}
+
+// ---------- History ----------
+// Hymns opened and recordings listened to are kept in storage as "history":
+// [{ hymnId, type: 'view' | 'play', at, fraction? }], oldest first, at most
+// HISTORY_LIMIT events. A play is recorded when the track ends or is replaced
+// and at least PLAY_COUNT_FRACTION of it was heard; fraction is how much.
+const HISTORY_LIMIT = 5000;
+const PLAY_COUNT_FRACTION = 0.5;
+const VIEW_REPEAT_MS = 30 * 60 * 1000;   // reopening a hymn within this is the same visit
+const RECENT_LIMIT = 12;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const STATS_MAX_WEEKS = 104;
+let listening = null;                    // { hymnId, heard, last, duration } for nowPlaying
+const statsView = { days: 84, staleWeeks: 8, includeNever: false };
+
+function recordHistory(type, hymnId, extra = {}) {
+    const event = { hymnId, type, at: new Date().toISOString(), ...extra };
+    storage.set('history', listeningHistory.concat(event).slice(-HISTORY_LIMIT));
+}
+
+function recordView(hymn) {
+    const last = listeningHistory.slice().reverse().find(e => e.type === 'view');
+    if (last && last.hymnId === hymn.id && Date.now() - Date.parse(last.at) < VIEW_REPEAT_MS) return;
+    recordHistory('view', hymn.id);
+}
+
+// timeupdate: add up what was heard of nowPlaying; jumps from seeking don't count
+function trackListening() {
+    if (!nowPlaying) return;
+    if (!listening || listening.hymnId !== nowPlaying.id) {
+        listening = { hymnId: nowPlaying.id, heard: 0, last: audio.currentTime, duration: 0 };
+        return;
+    }
+    const step = audio.currentTime - listening.last;
+    if (step > 0 && step < 2 * (audio.playbackRate || 1)) listening.heard += step;
+    listening.last = audio.currentTime;
+    if (audio.duration) listening.duration = audio.duration;
+}
+
+// the track ended, was replaced or stopped
+function finishListening() {
+    if (!listening) return;
+    const { hymnId, heard, duration } = listening;
+    listening = null;
+    const fraction = duration ? Math.min(1, heard / duration) : 0;
+    if (fraction >= PLAY_COUNT_FRACTION) recordHistory('play', hymnId, { fraction: Math.round(fraction * 100) / 100 });
+}
+
+const historySince = (type, since = 0) => listeningHistory.filter(e => e.type === type && Date.parse(e.at) >= since);
+
+// distinct hymns, most recently opened first
+function recentlyViewed(limit = RECENT_LIMIT) {
+    const seen = new Set();
+    const out = [];
+    for (let i = listeningHistory.length - 1; i >= 0 && out.length < limit; i--) {
+        const { type, hymnId } = listeningHistory[i];
+        if (type !== 'view' || seen.has(hymnId)) continue;
+        seen.add(hymnId);
+        const hymn = hymnById(hymnId);
+        if (hymn) out.push(hymn);
+    }
+    return out;
+}
+
+// [{ hymn, count, last, plays }] with the most played first
+function mostSung(since) {
+    const byHymn = new Map();
+    for (const play of historySince('play', since)) {
+        const row = byHymn.get(play.hymnId) || { count: 0, plays: [] };
+        row.count++;
+        row.last = play.at;
+        row.plays.push(play);
+        byHymn.set(play.hymnId, row);
+    }
+    return [...byHymn]
+        .map(([id, row]) => ({ hymn: hymnById(id), ...row }))
+        .filter(row => row.hymn)
+        .sort((a, b) => b.count - a.count || b.last.localeCompare(a.last));
+}
+
+// [{ hymn, last }] for hymns whose last play is older than `weeks` (or that
+// were never played, with includeNever), longest ago first
+function notSungIn(weeks, includeNever) {
+    const cutoff = Date.now() - weeks * WEEK_MS;
+    const lastPlayed = new Map();
+    for (const play of historySince('play')) lastPlayed.set(play.hymnId, play.at);
+    return hymns
+        .filter(h => (lastPlayed.has(h.id) ? Date.parse(lastPlayed.get(h.id)) < cutoff : includeNever))
+        .map(hymn => ({ hymn, last: lastPlayed.get(hymn.id) || null }))
+        .sort((a, b) => (a.last && b.last ? a.last.localeCompare(b.last) : (a.last ? -1 : b.last ? 1 : a.hymn.id - b.hymn.id)));
+}
+
+// Monday 00:00 of the week `time` falls in
+function weekStart(time) {
+    const d = new Date(time);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d.getTime();
+}
+
+// plays per week, oldest week first, ending with this week
+function weeklyCounts(plays, weeks) {
+    const counts = new Array(weeks).fill(0);
+    const thisWeek = weekStart(Date.now());
+    for (const play of plays) {
+        const ago = Math.round((thisWeek - weekStart(Date.parse(play.at))) / WEEK_MS);
+        if (ago >= 0 && ago < weeks) counts[weeks - 1 - ago]++;
+    }
+    return counts;
+}
+
+function barsHtml(counts, className) {
+    const max = Math.max(1, ...counts);
+    return `<div class="${className}">${counts.map(n => `<span style="height: ${Math.round((n / max) * 100)}%" title="${n}"></span>`).join('')}</div>`;
+}
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString(dateLocale(), { year: 'numeric', month: 'short', day: 'numeric' });
+
+const weeksAgoText = (iso) => {
+    const weeks = Math.floor((Date.now() - Date.parse(iso)) / WEEK_MS);
+    return weeks < 1 ? t('this week') : tn('{count} week ago', '{count} weeks ago', weeks);
+};
+
+// ---------- Recently viewed (home page) ----------
+function updateRecentStrip() {
+    const recent = appliedSearchQuery ? [] : recentlyViewed();
+    recentStrip.classList.toggle('hidden', !recent.length);
+    recentList.innerHTML = recent.map(hymn => `
+        <a class="recent-item" href="${hymnHash(hymn.id)}">
+            <span class="hymn-number">${hymn.id}</span>
+            <span class="recent-title">${escapeHtml(hymn.title)}</span>
+        </a>
+    `).join('');
+    scheduleListRefresh(); // the hymn grid below moved
+}
+
+// ---------- Hymn of the day ----------
+// One hymn a day, featured above the list with its first stanza. It comes
+// from a fixed shuffle of the chosen hymns (all, favorites or one tag), one
+// step along it per day, so a cycle repeats nothing. The day's pick is kept
+// in storage ("dailyHistory") and stays put when the list changes later that
+// day. Reminders are optional local notifications: the service worker keeps
+// the coming week of them and shows each one at the chosen time (see sw.js).
+const DAILY_DEFAULTS = { source: 'all', notify: false, time: '08:00' };
+const DAILY_SOURCE_RE = /^(all|favorites|tag:.+)$/;
+const DAILY_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAILY_HISTORY_LIMIT = 60;
+const DAILY_HISTORY_SHOWN = 14;
+const DAILY_REMINDER_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let dailySettings = { ...DAILY_DEFAULTS };
+let dailyHistory = [];               // [{ date: 'YYYY-MM-DD', hymnId }], oldest first
+let dailyHistoryOpen = false;
+let dailyTimer = null;               // the next midnight or reminder while the app is open
+
+function normalizeDaily(value) {
+    const out = { ...DAILY_DEFAULTS, ...(isPlainObject(value) ? value : {}) };
+    if (!DAILY_SOURCE_RE.test(out.source)) out.source = DAILY_DEFAULTS.source;
+    out.notify = out.notify === true;
+    if (!DAILY_TIME_RE.test(out.time)) out.time = DAILY_DEFAULTS.time;
+    return out;
+}
+
+// days since 1970 by the local calendar
+const dayNumber = (date = new Date()) => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+
+// an integer hash, so the shuffle is the same on every device
+const scramble = (n) => {
+    const x = Math.imul(n ^ 0x5bd1e995, 0x9e3779b1);
+    return Math.imul(x ^ (x >>> 15), 0x85ebca6b) >>> 0;
+};
+
+function dailyPool() {
+    const { source } = dailySettings;
+    if (source === 'favorites') return hymns.filter(h => favorites.includes(h.id));
+    if (source.startsWith('tag:')) return hymns.filter(h => hymnTagIds(h).includes(source.slice(4)));
+    return hymns;
+}
+
+function pickForDay(day) {
+    const ids = dailyPool().map(h => h.id).sort((a, b) => scramble(a) - scramble(b) || a - b);
+    return ids.length ? hymnById(ids[day % ids.length]) : null;
+}
+
+// the hymn already picked today, else the next in the rotation
+function todaysHymn() {
+    const entry = dailyHistory.find(e => e.date === localDateString());
+    return (entry && hymnById(entry.hymnId)) || pickForDay(dayNumber());
+}
+
+// keep today's pick in the history: at start-up, at midnight and when the list changes
+function recordDailyPick() {
+    const date = localDateString();
+    const hymn = todaysHymn();
+    if (!hymn || dailyHistory.some(e => e.date === date && e.hymnId === hymn.id)) return;
+    const next = dailyHistory.filter(e => e.date !== date).concat({ date, hymnId: hymn.id });
+    storage.set('dailyHistory', next.slice(-DAILY_HISTORY_LIMIT));
+}
+
+const reminderTime = (date) => new Date(`${date}T${dailySettings.time}:00`).getTime();
+
+// hidden while searching, like the recently viewed strip
+function updateDailyVisibility() {
+    dailyHymnEl.classList.toggle('hidden', !dailyBody.dataset.hymnId || Boolean(appliedSearchQuery));
+}
+
+async function renderDailyHymn() {
+    const hymn = todaysHymn();
+    dailyBody.dataset.hymnId = hymn ? hymn.id : '';
+    updateDailyVisibility();
+    renderDailyHistory();
+    if (!hymn) return;
+    dailyDateEl.textContent = formatServiceDate(localDateString());
+    dailyBody.innerHTML = `
+        <a class="daily-link" href="${hymnHash(hymn.id)}">
+            <span class="hymn-number">${hymn.id}</span>
+            <span class="daily-title">${escapeHtml(hymn.title)}</span>
+        </a>
+        <p class="daily-stanza" id="daily-stanza">${escapeHtml(t('Loading lyrics…'))}</p>
+    `;
+    scheduleListRefresh(); // the hymn grid below moved
+    // the first stanza in the reading language once the lyrics are in
+    const model = await getLyricsIn(hymn, readingLanguages(hymn).primary) || await getParsedLyrics(hymn);
+    const stanzaEl = document.getElementById('daily-stanza');
+    if (!stanzaEl || dailyBody.dataset.hymnId !== String(hymn.id)) return;
+    const first = model.stanzas[0] || model.blocks.find(block => block.lines.length);
+    stanzaEl.innerHTML = first ? first.lines.map(escapeHtml).join('<br>') : escapeHtml(t('Lyrics not available'));
+    scheduleListRefresh();
+}
+
+function renderDailyHistory() {
+    const today = localDateString();
+    const past = dailyHistory.filter(e => e.date !== today && hymnById(e.hymnId)).slice(-DAILY_HISTORY_SHOWN).reverse();
+    dailyHistoryToggle.classList.toggle('hidden', !past.length);
+    dailyHistoryToggle.classList.toggle('open', dailyHistoryOpen);
+    dailyHistoryToggle.setAttribute('aria-expanded', String(dailyHistoryOpen));
+    dailyHistoryToggle.querySelector('span').textContent = t(dailyHistoryOpen ? 'Hide earlier days' : 'Earlier days');
+    dailyHistoryEl.classList.toggle('hidden', !dailyHistoryOpen || !past.length);
+    dailyHistoryEl.innerHTML = past.map(entry => {
+        const hymn = hymnById(entry.hymnId);
+        return `
+            <li>
+                <a href="${hymnHash(hymn.id)}">
+                    <span class="daily-history-date">${escapeHtml(formatServiceDate(entry.date))}</span>
+                    <span class="hymn-number">${hymn.id}</span>
+                    <span class="daily-history-title">${escapeHtml(hymn.title)}</span>
+                </a>
+            </li>
+        `;
+    }).join('');
+}
+
+// while the app stays open: a new pick at midnight, and a nudge to the
+// service worker when a reminder is due
+function scheduleDailyTimer() {
+    clearTimeout(dailyTimer);
+    const now = new Date();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const reminder = dailySettings.notify ? reminderTime(localDateString(now)) : Infinity;
+    const at = reminder > now.getTime() ? Math.min(reminder, midnight) : midnight;
+    dailyTimer = setTimeout(() => {
+        if (dailySettings.notify) postToServiceWorker({ type: 'daily-check' });
+        recordDailyPick();
+        renderDailyHymn();
+        scheduleDailyTimer();
+        if (Date.now() >= midnight && dailySettings.notify) syncDailyReminders();
+    }, at - now.getTime() + 1000);
+}
+
+function renderDailySettings() {
+    const options = [['all', t('All hymns')], ['favorites', t('Favorites')]]
+        .concat(allTags().map(tag => [`tag:${tag.id}`, t('Tag: {name}', { name: tag.name })]));
+    dailySourceSelect.innerHTML = options
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+        .join('');
+    dailySourceSelect.value = dailySettings.source;
+    dailyNotifyInput.checked = dailySettings.notify;
+    dailyTimeInput.value = dailySettings.time;
+    dailyTimeInput.disabled = !dailySettings.notify;
+    const count = dailyPool().length;
+    dailyStatus.textContent = count
+        ? tn('{count} hymn in the rotation', '{count} hymns in the rotation', count)
+        : t('No hymns to choose from. Pick another list.');
+}
+
+function setDailySettings(changes) {
+    dailySettings = normalizeDaily({ ...dailySettings, ...changes });
+    storage.set('daily', dailySettings);
+    renderDailySettings();
+    if (dailySettings.notify || changes.notify === false) syncDailyReminders();
+    scheduleDailyTimer();
+}
+
+// a new list picks again today
+function setDailySource(source) {
+    storage.set('dailyHistory', dailyHistory.filter(e => e.date !== localDateString()));
+    setDailySettings({ source });
+    recordDailyPick();
+    renderDailyHymn();
+}
+
+async function setDailyNotify(on) {
+    if (on) {
+        if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+            showToast(t("Reminders aren't supported in this browser"));
+            renderDailySettings();
+            return;
+        }
+        const permission = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showToast(t('Notifications are blocked for this site'));
+            renderDailySettings();
+            return;
+        }
+    }
+    setDailySettings({ notify: on });
+    updatePeriodicSync(on);
+}
+
+// the coming week of reminders for the service worker; an empty list cancels them
+function syncDailyReminders() {
+    const reminders = [];
+    const today = new Date();
+    for (let i = 0; dailySettings.notify && i < DAILY_REMINDER_DAYS; i++) {
+        const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+        const date = localDateString(day);
+        const at = reminderTime(date);
+        const hymn = i === 0 ? todaysHymn() : pickForDay(dayNumber(day));
+        if (!hymn || at <= Date.now()) continue;
+        reminders.push({ date, at, hymnId: hymn.id, title: t('Hymn of the Day'), body: `${hymn.id} – ${hymn.title}` });
+    }
+    return postToServiceWorker({ type: 'daily-reminders', reminders });
+}
+
+// lets installed Chromium apps wake the service worker for a due reminder
+async function updatePeriodicSync(on) {
+    try {
+        const reg = await navigator.serviceWorker.getRegistration();
+        if (!reg || !reg.periodicSync) return;
+        if (on) await reg.periodicSync.register('daily-hymn', { minInterval: 12 * 60 * 60 * 1000 });
+        else await reg.periodicSync.unregister('daily-hymn');
+    } catch (err) {
+        // not allowed here; timestamp triggers or the open app still remind
+    }
+}
+
+async function postToServiceWorker(message) {
+    if (!('serviceWorker' in navigator)) return false;
+    const reg = await navigator.serviceWorker.getRegistration();
+    if (!reg) return false;
+    const { active } = await navigator.serviceWorker.ready;
+    active.postMessage(message);
+    return true;
+}
+
+// a tapped reminder asks the open app to show its hymn
+function onServiceWorkerMessage(e) {
+    const data = e.data || {};
+    if (data.type === 'open-hymn' && hymnById(data.hymnId)) navigate(hymnHash(data.hymnId));
+}
+
+// ---------- Statistics page ----------
+function updateStatsDisplay() {
+    const since = statsView.days ? Date.now() - statsView.days * 24 * 60 * 60 * 1000 : 0;
+    const plays = historySince('play', since);
+    const start = statsView.days ? since : (listeningHistory.length ? Date.parse(listeningHistory[0].at) : Date.now());
+    const weeks = Math.min(STATS_MAX_WEEKS, Math.round((weekStart(Date.now()) - weekStart(start)) / WEEK_MS) + 1);
+    const sung = mostSung(since);
+
+    statsRange.querySelectorAll('[data-range]').forEach(btn => btn.classList.toggle('active', Number(btn.dataset.range) === statsView.days));
+    statsSummary.innerHTML = `
+        <div><strong>${plays.length}</strong><span>${t('plays')}</span></div>
+        <div><strong>${sung.length}</strong><span>${t('hymns played')}</span></div>
+        <div><strong>${historySince('view', since).length}</strong><span>${t('hymns opened')}</span></div>
+    `;
+    statsChart.innerHTML = plays.length
+        ? `${barsHtml(weeklyCounts(plays, weeks), 'stats-bars')}<p class="stats-axis"><span>${tn('{count} week ago', '{count} weeks ago', weeks)}</span><span>${t('This week')}</span></p>`
+        : `<p class="settings-status">${t('No plays in this period yet. A recording counts once at least half of it has been heard.')}</p>`;
+
+    mostSungList.innerHTML = sung.slice(0, 10).map(row => `
+        <li class="stats-row" data-hymn-id="${row.hymn.id}">
+            <span class="hymn-number">${row.hymn.id}</span>
+            <div class="stats-row-body">
+                <span class="stats-row-title">${escapeHtml(row.hymn.title)}</span>
+                <span class="stats-row-meta">${tn('{count} play · last {ago}', '{count} plays · last {ago}', row.count, { ago: weeksAgoText(row.last) })}</span>
+            </div>
+            ${barsHtml(weeklyCounts(row.plays, weeks), 'stats-spark')}
+        </li>
+    `).join('');
+
+    staleWeeksInput.value = statsView.staleWeeks;
+    staleNeverInput.checked = statsView.includeNever;
+    const stale = notSungIn(statsView.staleWeeks, statsView.includeNever);
+    const shown = stale.slice(0, 200);
+    if (!shown.length) {
+        staleList.innerHTML = `<li class="settings-status">${t(historySince('play').length ? 'Everything you play has been played recently' : 'Nothing played yet')}</li>`;
+        return;
+    }
+    staleList.innerHTML = shown.map(({ hymn, last }) => `
+        <li class="stats-row" data-hymn-id="${hymn.id}">
+            <span class="hymn-number">${hymn.id}</span>
+            <div class="stats-row-body">
+                <span class="stats-row-title">${escapeHtml(hymn.title)}</span>
+                <span class="stats-row-meta">${last ? escapeHtml(t('Last played {date} ({ago})', { date: formatDay(last), ago: weeksAgoText(last) })) : t('Never played')}</span>
+            </div>
+        </li>
+    `).join('') + (stale.length > shown.length ? `<li class="settings-status">${t('and {count} more', { count: stale.length - shown.length })}</li>` : '');
+}
+
+// ---------- History in Settings ----------
+function updateHistoryStatus() {
+    const plays = historySince('play').length;
+    const views = historySince('view').length;
+    historyStatus.textContent = listeningHistory.length
+        ? `${tn('{count} play', '{count} plays', plays)} ${tn('and {count} hymn view since {date}', 'and {count} hymn views since {date}', views, { date: formatDay(listeningHistory[0].at) })}`
+        : t('Nothing recorded yet');
+}
+
+const csvField = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+function exportHistory() {
+    if (!listeningHistory.length) {
+        showToast(t('No history to export'));
+        return;
+    }
+    const rows = listeningHistory.map(e => {
+        const hymn = hymnById(e.hymnId);
+        return [e.at, e.type, e.hymnId, hymn ? hymn.title : '', e.fraction === undefined ? '' : e.fraction].map(csvField).join(',');
+    });
+    downloadFile(`hymn-haven-history-${localDateString()}.csv`, `time,event,hymn,title,heard\n${rows.join('\n')}\n`, 'text/csv');
+    showToast(t('History exported'));
+}
+
+function clearHistory() {
+    if (!listeningHistory.length || !confirm(t('Clear your listening and viewing history?'))) return;
+    storage.set('history', []);
+    showToast(t('History cleared'));
+}
+
+// ---------- Topical Index ----------
+// Browses hymns by topic and by the book of their scripture references.
+// Routes: #/topics, #/topics/<topic>, #/scripture, #/scripture/<book>
+const BIBLE_BOOKS = [
+    'Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy', 'Joshua', 'Judges', 'Ruth',
+    '1 Samuel', '2 Samuel', '1 Kings', '2 Kings', '1 Chronicles', '2 Chronicles', 'Ezra',
+    'Nehemiah', 'Esther', 'Job', 'Psalms', 'Proverbs', 'Ecclesiastes', 'Song of Solomon',
+    'Isaiah', 'Jeremiah', 'Lamentations', 'Ezekiel', 'Daniel', 'Hosea', 'Joel', 'Amos',
+    'Obadiah', 'Jonah', 'Micah', 'Nahum', 'Habakkuk', 'Zephaniah', 'Haggai', 'Zechariah',
+    'Malachi', 'Matthew', 'Mark', 'Luke', 'John', 'Acts', 'Romans', '1 Corinthians',
+    '2 Corinthians', 'Galatians', 'Ephesians', 'Philippians', 'Colossians', '1 Thessalonians',
+    '2 Thessalonians', '1 Timothy', '2 Timothy', 'Titus', 'Philemon', 'Hebrews', 'James',
+    '1 Peter', '2 Peter', '1 John', '2 John', '3 John', 'Jude', 'Revelation'
+];
+let topicIndexView = { kind: 'topics', value: null };
+
+const indexHash = (kind, value) => `#/${kind}${value ? `/${encodeURIComponent(value)}` : ''}`;
+
+// "Psalm 23:1-4" -> "Psalms"; abbreviations resolve when only one book matches
+function scriptureBook(ref) {
+    const m = /^(.+?)\.?\s+\d+(?:[\s:.,;\-–\d]*)?$/.exec(String(ref).trim());
+    const name = (m ? m[1] : String(ref)).trim();
+    const lower = name.toLowerCase().replace(/\.$/, '');
+    const exact = BIBLE_BOOKS.find(b => b.toLowerCase() === lower);
+    if (exact) return exact;
+    const prefixed = BIBLE_BOOKS.filter(b => b.toLowerCase().startsWith(lower));
+    return prefixed.length === 1 ? prefixed[0] : name;
+}
+
+const bookRank = (book) => {
+    const i = BIBLE_BOOKS.indexOf(book);
+    return i === -1 ? BIBLE_BOOKS.length : i;
+};
+
+// name -> hymns, topics grouped case-insensitively under their first spelling
+function collectIndex(kind) {
+    const groups = new Map();
+    for (const hymn of hymns) {
+        const names = kind === 'topics' ? (hymn.topics || []) : (hymn.scripture || []).map(scriptureBook);
+        for (const name of names) {
+            const key = name.toLowerCase();
+            if (!groups.has(key)) groups.set(key, { name, hymns: [] });
+            const group = groups.get(key);
+            if (group.hymns[group.hymns.length - 1] !== hymn) group.hymns.push(hymn);
+        }
+    }
+    const list = [...groups.values()];
+    return kind === 'topics'
+        ? list.sort((a, b) => a.name.localeCompare(b.name))
+        : list.sort((a, b) => bookRank(a.name) - bookRank(b.name) || a.name.localeCompare(b.name));
+}
+
+function setTopicIndexView(kind, value) {
+    topicIndexView = { kind, value };
+    if (topicsPage.classList.contains('active')) updateTopicsDisplay();
+}
+
+function updateTopicsDisplay() {
+    const { kind, value } = topicIndexView;
+    topicsPage.querySelectorAll('.index-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.indexKind === kind);
+    });
+    const groups = collectIndex(kind);
+    if (value) {
+        const group = groups.find(g => g.name.toLowerCase() === value.toLowerCase());
+        const list = group ? group.hymns : [];
+        topicIndex.innerHTML = `
+            <div class="topic-heading">
+                <a href="${indexHash(kind)}"><i class="fas fa-arrow-left"></i> ${t(kind === 'topics' ? 'All topics' : 'All books')}</a>
+                <h3>${escapeHtml(group ? group.name : value)} <span>${list.length}</span></h3>
+            </div>
+        `;
+        topicsContainer.classList.remove('hidden');
+        renderHymnsList(list, topicsContainer);
+        return;
+    }
+    topicsContainer.classList.add('hidden');
+    renderHymnsList([], topicsContainer);
+    if (!groups.length) {
+        topicIndex.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-book-open"></i>
+                <h3>${t(kind === 'topics' ? 'No topics yet' : 'No scripture references yet')}</h3>
+                <p>${t('Add them in Settings → Hymn Metadata or in data/hymns.overlay.json')}</p>
+            </div>
+        `;
+        return;
+    }
+    topicIndex.innerHTML = `
+        <div class="topic-list">
+            ${groups.map(g => `
+                <a class="topic-chip" href="${indexHash(kind, g.name)}">
+                    ${escapeHtml(g.name)} <span>${g.hymns.length}</span>
+                </a>`).join('')}
+        </div>
+    `;
+}
+
+// ---------- Services (setlists) ----------
+// services: [{ id, name, date, entries: [{ hymnId, stanzas, note }] }]
+// stanzas is an array of stanza numbers to sing, or null for all of them.
+function saveServices() {
+    storage.set('services', services);
+}
+
+const findService = (id) => services.find(s => s.id === id);
+
+// "1, 2, 4" or "1-3, 5" -> [1, 2, 3, 5]; empty -> null (sing every stanza)
+function parseStanzaList(text) {
+    const numbers = [];
+    for (const part of String(text || '').split(',')) {
+        const m = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!m) continue;
+        const from = Number(m[1]);
+        const to = m[2] ? Number(m[2]) : from;
+        for (let n = from; n <= to && n - from < 50; n++) if (!numbers.includes(n)) numbers.push(n);
+    }
+    return numbers.length ? numbers : null;
+}
+
+// YYYY-MM-DD in local time (what <input type="date"> uses)
+const localDateString = (d = new Date()) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const formatStanzaList = (stanzas) => (stanzas && stanzas.length ? stanzas.join(', ') : '');
+
+function formatServiceDate(date) {
+    if (!date) return t('No date');
+    const d = new Date(`${date}T00:00:00`);
+    return isNaN(d) ? date : d.toLocaleDateString(dateLocale(), { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function createService(name, date) {
+    const service = {
+        id: uniqueId(),
+        name: (name || '').trim() || t('Worship Service'),
+        date: date || localDateString(),
+        entries: []
+    };
+    services.push(service);
+    saveServices();
+    return service;
+}
+
+// the service "Add to Service" targets: the one being edited, else the next upcoming one
+function getTargetService() {
+    const open = findService(currentServiceId);
+    if (open) return open;
+    const today = localDateString();
+    const upcoming = services.filter(s => s.date >= today).sort((a, b) => a.date.localeCompare(b.date));
+    return upcoming[0] || services[services.length - 1] || null;
+}
+
+function addHymnToService(hymnId, service) {
+    const id = Number(hymnId);
+    if (!hymns.some(h => h.id === id)) {
+        showToast(t('Hymn {number} not found', { number: hymnId }));
+        return;
+    }
+    const target = service || getTargetService() || createService();
+    target.entries.push({ hymnId: id, stanzas: null, note: '' });
+    saveServices();
+    showToast(t('Added to {service}', { service: target.name }));
+    updateServicesDisplay();
+}
+
+function deleteService(id) {
+    const service = findService(id);
+    if (!service || !confirm(t('Delete "{service}"?', { service: service.name }))) return;
+    services = services.filter(s => s.id !== id);
+    if (currentServiceId === id) currentServiceId = null;
+    saveServices();
+    updateServicesDisplay();
+}
+
+const serviceItems = (service) => service.entries
+    .map(entry => ({ hymn: hymns.find(h => h.id === entry.hymnId), stanzas: entry.stanzas, note: entry.note }))
+    .filter(item => item.hymn);
+
+function presentService(service) {
+    const items = serviceItems(service);
+    if (!items.length) {
+        showToast(t('This service has no hymns yet'));
+        return;
+    }
+    openPresentation(items);
+}
+
+function printService(service) {
+    const items = serviceItems(service);
+    if (!items.length) {
+        showToast(t('This service has no hymns yet'));
+        return;
+    }
+    openPrintDialog(items, { title: service.name, subtitle: formatServiceDate(service.date), fileName: `service-${service.date}` });
+}
+
+function playService(service) {
+    const list = serviceItems(service).map(item => item.hymn);
+    if (!list.length) {
+        showToast(t('This service has no hymns yet'));
+        return;
+    }
+    playList(list);
+}
+
+function updateServicesDisplay() {
+    if (!servicesList || !serviceEditor) return;
+    const service = findService(currentServiceId);
+    servicesList.classList.toggle('hidden', Boolean(service));
+    serviceForm.classList.toggle('hidden', Boolean(service));
+    serviceEditor.classList.toggle('hidden', !service);
+    if (service) renderServiceEditor(service);
+    else renderServicesList();
+}
+
+function renderServicesList() {
+    if (!services.length) {
+        servicesList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-list-ol"></i>
+                <h3>${t('No services yet')}</h3>
+                <p>${t('Create a service to plan the hymns for worship')}</p>
+            </div>
+        `;
+        return;
+    }
+    const sorted = services.slice().sort((a, b) => b.date.localeCompare(a.date));
+    servicesList.innerHTML = sorted.map(s => `
+        <div class="service-card" data-service-id="${s.id}">
+            <div class="service-card-info">
+                <h3>${escapeHtml(s.name)}</h3>
+                <p>${escapeHtml(formatServiceDate(s.date))} · ${tn('{count} hymn', '{count} hymns', s.entries.length)}</p>
+            </div>
+            <i class="fas fa-chevron-right"></i>
+        </div>
+    `).join('');
+}
+
+function renderServiceEditor(service) {
+    const entries = service.entries.map((entry, index) => {
+        const hymn = hymns.find(h => h.id === entry.hymnId);
+        return `
+            <li class="service-entry" data-index="${index}">
+                <span class="drag-handle" title="${t('Drag to reorder')}"><i class="fas fa-grip-vertical"></i></span>
+                <div class="hymn-number">${entry.hymnId}</div>
+                <div class="service-entry-body">
+                    <div class="service-entry-title">${escapeHtml(hymn ? hymn.title : t('Unknown hymn'))}</div>
+                    <input class="service-entry-stanzas" data-field="stanzas" type="text" inputmode="numeric"
+                           placeholder="${t('All stanzas (e.g. 1, 2, 4)')}" value="${escapeHtml(formatStanzaList(entry.stanzas))}">
+                    <input class="service-entry-note" data-field="note" type="text"
+                           placeholder="${t('Note (e.g. choir sings stanza 3)')}" value="${escapeHtml(entry.note)}">
+                </div>
+                <button class="service-entry-remove" data-service-action="remove-entry" title="${t('Remove')}" aria-label="${t('Remove')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `;
+    }).join('');
+
+    serviceEditor.innerHTML = `
+        <div class="service-editor-header">
+            <button class="detail-close service-back" data-service-action="back" title="${t('All services')}" aria-label="${t('All services')}">
+                <i class="fas fa-arrow-left"></i>
+            </button>
+            <div class="service-editor-fields">
+                <input type="text" class="service-name-input" data-service-field="name" value="${escapeHtml(service.name)}">
+                <input type="date" class="service-date-input" data-service-field="date" value="${escapeHtml(service.date)}">
+            </div>
+        </div>
+        <div class="service-toolbar">
+            <button class="notes-save" data-service-action="play"><i class="fas fa-play"></i> ${t('Play all')}</button>
+            <button class="notes-save" data-service-action="present"><i class="fas fa-display"></i> ${t('Present')}</button>
+            <button class="notes-save" data-service-action="print"><i class="fas fa-print"></i> ${t('Print')}</button>
+            <button class="notes-cancel" data-service-action="delete"><i class="fas fa-trash-alt"></i> ${t('Delete')}</button>
+        </div>
+        <div class="service-add">
+            <input type="number" min="1" id="service-add-number" placeholder="${t('Hymn number')}">
+            <button class="notes-save" data-service-action="add"><i class="fas fa-plus"></i> ${t('Add hymn')}</button>
+        </div>
+        ${service.entries.length
+            ? `<ol class="service-entries">${entries}</ol>`
+            : `<p class="settings-status">${t('No hymns yet — add them by number or from a hymn\'s detail view.')}</p>`}
+    `;
+}
+
+function onServicesPageClick(e) {
+    const card = e.target.closest('.service-card');
+    if (card) {
+        currentServiceId = card.dataset.serviceId;
+        updateServicesDisplay();
+        return;
+    }
+    const btn = e.target.closest('[data-service-action]');
+    const service = findService(currentServiceId);
+    if (!btn || !service) return;
+    const action = btn.dataset.serviceAction;
+    if (action === 'back') {
+        currentServiceId = null;
+        updateServicesDisplay();
+    } else if (action === 'play') {
+        playService(service);
+    } else if (action === 'present') {
+        presentService(service);
+    } else if (action === 'print') {
+        printService(service);
+    } else if (action === 'delete') {
+        deleteService(service.id);
+    } else if (action === 'add') {
+        const input = document.getElementById('service-add-number');
+        if (input && input.value) addHymnToService(input.value, service);
+    } else if (action === 'remove-entry') {
+        const index = Number(btn.closest('.service-entry').dataset.index);
+        service.entries.splice(index, 1);
+        saveServices();
+        updateServicesDisplay();
+    }
+}
+
+function onServicesPageChange(e) {
+    const service = findService(currentServiceId);
+    if (!service) return;
+    const serviceField = e.target.dataset.serviceField;
+    if (serviceField) {
+        service[serviceField] = e.target.value.trim() || service[serviceField];
+        saveServices();
+        return;
+    }
+    const field = e.target.dataset.field;
+    const entryEl = e.target.closest('.service-entry');
+    if (!field || !entryEl) return;
+    const entry = service.entries[Number(entryEl.dataset.index)];
+    if (field === 'stanzas') {
+        entry.stanzas = parseStanzaList(e.target.value);
+        e.target.value = formatStanzaList(entry.stanzas);
+    } else {
+        entry.note = e.target.value.trim();
+    }
+    saveServices();
+}
+
+// Drag and drop reordering with pointer events, so it works for touch as well as mouse
+let serviceDrag = null;
+
+function onServiceDragStart(e) {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle) return;
+    const item = handle.closest('.service-entry');
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+    item.classList.add('dragging');
+    serviceDrag = { item, handle, list: item.parentElement };
+}
+
+function onServiceDragMove(e) {
+    if (!serviceDrag) return;
+    const { item, list } = serviceDrag;
+    const siblings = [...list.children].filter(li => li !== item);
+    const before = siblings.find(li => {
+        const rect = li.getBoundingClientRect();
+        return e.clientY < rect.top + rect.height / 2;
+    });
+    if (before) list.insertBefore(item, before);
+    else list.appendChild(item);
+}
+
+function onServiceDragEnd() {
+    if (!serviceDrag) return;
+    const { item, list } = serviceDrag;
+    serviceDrag = null;
+    item.classList.remove('dragging');
+    const service = findService(currentServiceId);
+    if (!service) return;
+    // the DOM order now holds the new order; data-index still points at the old slots
+    service.entries = [...list.children].map(li => service.entries[Number(li.dataset.index)]);
+    saveServices();
+    updateServicesDisplay();
+}
+
+// ---------- Offline Data ----------
+// Cache names are shared with sw.js — keep them in sync.
+const DATA_CACHE = 'hymn-haven-data-v1';
+const AUDIO_CACHE = 'hymn-haven-audio-v1';
+const HYMNS_JSON = 'data/hymns.json';
+const hasCacheStorage = 'caches' in window;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js')
+        .catch(err => console.warn('Service worker registration failed', err));
+}
+
+async function readCachedHymns() {
+    if (!hasCacheStorage) return null;
+    try {
+        const res = await caches.match(HYMNS_JSON);
+        if (!res) return null;
+        const json = await res.json();
+        return Array.isArray(json) && json.length ? json : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// sum the size of every cached response in a cache
+async function measureCache(name) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    let bytes = 0;
+    for (const req of keys) {
+        const res = await cache.match(req);
+        if (res) bytes += (await res.blob()).size;
+    }
+    return { count: keys.length, bytes, keys };
+}
+
+// every lyrics file the catalog references, translations included
+const allLyricsFiles = () => hymns.flatMap(h => Object.values(lyricsFilesFor(h))).filter(Boolean);
+
+async function updateOfflineStatus() {
+    if (!offlineStatus) return;
+    if (!hasCacheStorage) {
+        offlineStatus.textContent = t('Offline storage is not supported in this browser.');
+        return;
+    }
+    const data = await measureCache(DATA_CACHE);
+    const audioCache = await measureCache(AUDIO_CACHE);
+    const lyricsCount = data.keys.filter(r => r.url.includes('/data/hymns/')).length;
+    const withFiles = allLyricsFiles().length;
+    offlineStatus.textContent = t('Lyrics saved: {count} of {total} · Recordings saved: {recordings} · Using {size}', {
+        count: lyricsCount,
+        total: withFiles,
+        recordings: audioCache.count,
+        size: formatBytes(data.bytes + audioCache.bytes)
+    });
+}
+
+async function downloadAllLyrics() {
+    if (!hasCacheStorage) {
+        showToast(t('Offline storage not supported'));
+        return;
+    }
+    const cache = await caches.open(DATA_CACHE);
+    const files = allLyricsFiles();
+    let done = 0;
+    let failed = 0;
+    try {
+        const res = await fetch(HYMNS_JSON, { cache: 'no-cache' });
+        if (res.ok) await cache.put(HYMNS_JSON, res);
+    } catch (err) {
+        showToast(t('You appear to be offline'));
+        return;
+    }
+    await forEachConcurrent(files, 4, async (file) => {
+        try {
+            const res = await fetch(file, { cache: 'no-cache' });
+            if (res.ok) await cache.put(file, res);
+            else failed++;
+        } catch (err) {
+            failed++;
+        }
+        done++;
+        if (offlineStatus && done % 25 === 0) {
+            offlineStatus.textContent = t('Downloading lyrics… {count} of {total}', { count: done, total: files.length });
+        }
+    });
+    showToast(failed ? t('Lyrics saved ({count} unavailable)', { count: failed }) : t('All lyrics saved for offline use'), 2000);
+    updateOfflineStatus();
+}
+
+async function clearOfflineData() {
+    if (!hasCacheStorage) return;
+    if (!confirm(t('Remove saved lyrics and recordings from this device?'))) return;
+    await Promise.all([caches.delete(DATA_CACHE), caches.delete(AUDIO_CACHE)]);
+    showToast(t('Offline data cleared'));
+    updateOfflineStatus();
+    if (currentHymn) updateOfflineAudioBtn(currentHymn);
+}
+
+async function isAudioSaved(hymn) {
+    if (!hasCacheStorage || !hymn || !hymn.audio) return false;
+    const cache = await caches.open(AUDIO_CACHE);
+    return Boolean(await cache.match(hymn.audio));
+}
+
+async function updateOfflineAudioBtn(hymn) {
+    if (!offlineAudioBtn) return;
+    const saved = await isAudioSaved(hymn);
+    if (currentHymn !== hymn) return;
+    offlineAudioBtn.innerHTML = `<i class="fas fa-${saved ? 'check-circle' : 'download'}"></i>
+                                 <span>${t(saved ? 'Remove Offline Audio' : 'Save Audio Offline')}</span>`;
+}
+
+// download the current hymn's recording for offline playback, or remove it
+async function toggleOfflineAudio() {
+    const hymn = currentHymn;
+    if (!hymn || !hymn.audio) return;
+    if (!hasCacheStorage) {
+        showToast(t('Offline storage not supported'));
+        return;
+    }
+    const cache = await caches.open(AUDIO_CACHE);
+    if (await cache.match(hymn.audio)) {
+        await cache.delete(hymn.audio);
+        showToast(t('Offline audio removed'));
+    } else {
+        showToast(t('Downloading audio…'), 1000);
+        try {
+            const res = await fetch(hymn.audio);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            await cache.put(hymn.audio, res);
+            showToast(t('Audio saved for offline use'));
+        } catch (err) {
+            console.warn('Audio download failed for', hymn.id, err);
+            showToast(t('No recording available to download'));
+        }
+    }
+    updateOfflineAudioBtn(hymn);
+}
+
+// ---------- Recordings (which hymns have audio) ----------
+// hymns.json gives most hymns an `audio` path, but only some files are
+// shipped. data/audio.json, when present, lists the ones that exist;
+// without it each path is probed once (HEAD) and the answer kept in the
+// "audioChecks" setting for AUDIO_CHECK_MAX_AGE. A failed playback counts
+// as a probe too, and outranks the manifest until the page is reloaded. Hymns without a recording can play an audio file the user
+// picks instead (see Your recordings).
+const AUDIO_MANIFEST = 'data/audio.json';
+const AUDIO_CHECK_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const AUDIO_CHECK_CONCURRENCY = 4;
+let audioManifest = null;            // Set of shipped audio paths, null without data/audio.json
+let audioChecks = {};                // audio path -> { ok, checkedAt }
+const failedAudio = new Set();       // audio paths that failed to play this session
+let recordedOnly = false;            // home list: only hymns with a recording
+
+// the hymnal's own recording: 'available', 'missing' or 'unknown' (not probed yet)
+function catalogAudioStatus(hymn) {
+    if (!hymn.audio || failedAudio.has(hymn.audio)) return 'missing';
+    if (audioManifest) return audioManifest.has(hymn.audio) ? 'available' : 'missing';
+    const check = audioChecks[hymn.audio];
+    if (!check) return 'unknown';
+    return check.ok ? 'available' : 'missing';
+}
+
+// Play stays offered until a recording is known to be missing
+const canPlay = (hymn) => userRecordings.has(hymn.id) || catalogAudioStatus(hymn) !== 'missing';
+// the "With recording" filter only lists what is known to play
+const hasRecording = (hymn) => userRecordings.has(hymn.id) || catalogAudioStatus(hymn) === 'available';
+
+async function fetchAudioManifest() {
+    try {
+        const res = await fetch(AUDIO_MANIFEST);
+        if (!res.ok) return null;
+        const list = await res.json();
+        return Array.isArray(list) ? new Set(list.filter(path => typeof path === 'string')) : null;
+    } catch (err) {
+        return null; // the manifest is optional
+    }
+}
+
+// { ok, checkedAt }, or null when the server couldn't be asked (offline)
+async function probeAudio(path) {
+    try {
+        let res = await fetch(path, { method: 'HEAD', cache: 'no-cache' });
+        // servers that refuse HEAD get asked for the first byte instead
+        if (res.status === 405 || res.status === 501) {
+            res = await fetch(path, { headers: { Range: 'bytes=0-0' }, cache: 'no-cache' });
+        }
+        return { ok: res.ok, checkedAt: Date.now() };
+    } catch (err) {
+        return null;
+    }
+}
+
+// runs in the background after the hymnal loads
+async function checkAudioAvailability() {
+    audioManifest = await fetchAudioManifest();
+    if (!audioManifest) {
+        const now = Date.now();
+        const paths = [...new Set(hymns.map(h => h.audio).filter(Boolean))]
+            .filter(path => !audioChecks[path] || now - audioChecks[path].checkedAt > AUDIO_CHECK_MAX_AGE);
+        const found = {};
+        await forEachConcurrent(paths, AUDIO_CHECK_CONCURRENCY, async (path) => {
+            const result = await probeAudio(path);
+            if (result) found[path] = result;
+        });
+        if (Object.keys(found).length) {
+            saveAudioChecks(found);
+            return; // the audioChecks subscription applies them
+        }
+    }
+    applyAudioAvailability();
+}
+
+// merge new checks, dropping paths the catalog no longer uses
+function saveAudioChecks(found) {
+    const used = new Set(hymns.map(h => h.audio).filter(Boolean));
+    const merged = {};
+    for (const [path, check] of Object.entries({ ...audioChecks, ...found })) {
+        if (used.has(path)) merged[path] = check;
+    }
+    storage.set('audioChecks', merged);
+}
+
+// a playback error from the server is as good as a probe
+function markAudioMissing(hymn) {
+    if (!hymn.audio || !navigator.onLine) return;
+    failedAudio.add(hymn.audio);
+    if (audioManifest) applyAudioAvailability();
+    else saveAudioChecks({ [hymn.audio]: { ok: false, checkedAt: Date.now() } });
+}
+
+function applyAudioAvailability() {
+    for (const { container } of hymnLists.values()) {
+        container.querySelectorAll('.hymn-card').forEach(card => {
+            const hymn = hymnById(card.dataset.id);
+            if (hymn) card.classList.toggle('no-audio', !canPlay(hymn));
+        });
+    }
+    if (recordedOnly) filterHymnsImmediate(appliedSearchQuery);
+    if (currentHymn) updateDetailAudio(currentHymn);
+}
+
+function setRecordedOnly(on) {
+    recordedOnly = on;
+    recordedFilterBtn.classList.toggle('active', on);
+    recordedFilterBtn.setAttribute('aria-pressed', String(on));
+    filterHymnsImmediate(appliedSearchQuery);
+}
+
+// the detail player, and the user's own file once the hymnal has no recording
+function updateDetailAudio(hymn) {
+    const status = catalogAudioStatus(hymn);
+    const own = userRecordings.get(hymn.id);
+    const playable = canPlay(hymn);
+    playBtn.disabled = !playable;
+    if (playable) playBtn.removeAttribute('title');
+    else playBtn.title = t('No recording for this hymn');
+    userRecordingRow.classList.toggle('hidden', status !== 'missing' && !own);
+    userRecordingStatus.textContent = own
+        ? t('Playing your file: {name}', { name: own.name })
+        : t('The hymnal has no recording of this hymn. You can play an audio file from this device instead.');
+    userRecordingAddBtn.querySelector('span').textContent = t(own ? 'Choose another file' : 'Use a file from this device');
+    userRecordingRemoveBtn.classList.toggle('hidden', !own);
+    if (offlineAudioBtn) offlineAudioBtn.classList.toggle('hidden', status === 'missing');
+    practiceBtn.classList.toggle('hidden', !playable);
+    renderPractice();
+}
+
+// ---------- Your recordings ----------
+// Audio files the user picked for hymns, kept on this device only in their
+// own IndexedDB database (Blobs don't belong in the JSON values of `storage`).
+// A hymn's own file plays instead of the hymnal's recording.
+const userRecordings = new Map();    // hymn.id -> { hymnId, name, type, size, addedAt, blob }
+let userRecordingUrl = null;         // object URL of the file `audio` is playing
+
+const userAudio = (() => {
+    const DB_NAME = 'hymn-haven-recordings';
+    const STORE = 'files';
+    let opening = null;
+
+    const openDatabase = () => {
+        opening = opening || new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'hymnId' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('IndexedDB blocked'));
+        });
+        return opening;
+    };
+
+    // one request in its own transaction; resolves with its result once committed
+    const run = async (mode, makeRequest) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = makeRequest(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        getAll: () => run('readonly', store => store.getAll()),
+        put: (record) => run('readwrite', store => store.put(record)),
+        remove: (hymnId) => run('readwrite', store => store.delete(hymnId)),
+        clear: () => run('readwrite', store => store.clear())
+    };
+})();
+
+async function loadUserRecordings() {
+    try {
+        for (const record of await userAudio.getAll()) userRecordings.set(record.hymnId, record);
+    } catch (err) {
+        console.warn('Your recordings could not be loaded', err);
+    }
+}
+
+// where `audio` plays a hymn from; releases the previous file's object URL
+function audioSourceFor(hymn) {
+    releaseUserRecordingUrl();
+    const own = userRecordings.get(hymn.id);
+    if (!own) return hymn.audio || '';
+    userRecordingUrl = URL.createObjectURL(own.blob);
+    return userRecordingUrl;
+}
+
+function releaseUserRecordingUrl() {
+    if (!userRecordingUrl) return;
+    URL.revokeObjectURL(userRecordingUrl);
+    userRecordingUrl = null;
+}
+
+function pickUserRecording() {
+    const hymn = currentHymn;
+    if (!hymn) return;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.onchange = async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        if (file.type && !file.type.startsWith('audio/')) {
+            showToast(t('Choose an audio file'));
+            return;
+        }
+        const record = { hymnId: hymn.id, name: file.name, type: file.type, size: file.size, addedAt: Date.now(), blob: file };
+        try {
+            await userAudio.put(record);
+        } catch (err) {
+            console.error('Could not save recording', err);
+            showToast(t('Could not save the recording on this device'));
+            return;
+        }
+        userRecordings.set(hymn.id, record);
+        // a new file replaces the one playing at the next start
+        if (nowPlaying && nowPlaying.id === hymn.id) stopPlayback();
+        applyAudioAvailability();
+        showToast(t('"{title}" will play {name}', { title: hymn.title, name: file.name }));
+    };
+    input.click();
+}
+
+async function removeUserRecording() {
+    const hymn = currentHymn;
+    if (!hymn || !userRecordings.has(hymn.id)) return;
+    if (!confirm(t('Remove your recording of "{title}" from this device?', { title: hymn.title }))) return;
+    try {
+        await userAudio.remove(hymn.id);
+    } catch (err) {
+        console.error('Could not remove recording', err);
+        showToast(t('Could not save your changes'));
+        return;
+    }
+    userRecordings.delete(hymn.id);
+    if (nowPlaying && nowPlaying.id === hymn.id) stopPlayback();
+    applyAudioAvailability();
+    showToast(t('Recording removed'));
+}
+
+// ---------- Presentation Mode ----------
+// One stanza (or refrain) per slide for projecting. A presenter view in a
+// second window (presenter.html) mirrors the slides over a BroadcastChannel.
+const PRESENTATION_CHANNEL = 'hymn-haven-presentation';
+const presentationChannel = ('BroadcastChannel' in window) ? new BroadcastChannel(PRESENTATION_CHANNEL) : null;
+let presentationSlides = [];
+let presentationIndex = 0;
+let presentationBlackout = false;
+let presentationSwipeStart = null;
+
+// entries: [{ hymn, model, stanzas }] — a blank slide separates hymns and ends the set
+function buildSlides(entries) {
+    const slides = [];
+    entries.forEach(({ hymn, model, stanzas }, i) => {
+        if (i > 0) slides.push({ kind: 'blank' });
+        const info = { hymnId: hymn.id, title: hymn.title };
+        slides.push({ ...info, kind: 'title' });
+        const order = sungOrder(model, stanzas);
+        const keys = sungBlockKeys(model, order);
+        order.forEach((block, j) => {
+            if (block.type === 'refrain') {
+                slides.push({ ...info, kind: 'refrain', key: keys[j], label: t('Refrain'), lines: block.lines });
+            } else {
+                const label = block.number !== null ? t('Stanza {number}', { number: block.number }) : '';
+                slides.push({ ...info, kind: 'stanza', key: keys[j], label, lines: block.lines });
+            }
+        });
+    });
+    slides.push({ kind: 'blank' });
+    return slides;
+}
+
+// presenter.js renders the presenter window with a copy of this
+function renderSlide(slide, el) {
+    el.className = `slide slide-${slide ? slide.kind : 'blank'}`;
+    el.innerHTML = '';
+    if (!slide || slide.kind === 'blank') return;
+    if (slide.kind === 'title') {
+        el.innerHTML = `
+            <div class="slide-number">${slide.hymnId}</div>
+            <div class="slide-heading">${escapeHtml(slide.title)}</div>
+        `;
+        return;
+    }
+    el.innerHTML = `
+        ${slide.label ? `<span class="slide-label">${escapeHtml(slide.label)}</span>` : ''}
+        <div class="slide-lines">${slide.lines.map(line => `<span class="slide-line">${escapeHtml(line)}</span>`).join('<br>')}</div>
+        <div class="slide-footer">${slide.hymnId} – ${escapeHtml(slide.title)}</div>
+    `;
+}
+
+function showSlide(index) {
+    if (!presentationSlides.length) return;
+    presentationIndex = Math.max(0, Math.min(presentationSlides.length - 1, index));
+    presentationBlackout = false;
+    renderSlide(presentationSlides[presentationIndex], presentationSlideEl);
+    presentationCounter.textContent = `${presentationIndex + 1} / ${presentationSlides.length}`;
+    broadcastPresentation();
+}
+
+function toggleBlackout() {
+    presentationBlackout = !presentationBlackout;
+    renderSlide(presentationBlackout ? null : presentationSlides[presentationIndex], presentationSlideEl);
+    broadcastPresentation();
+}
+
+function broadcastPresentation() {
+    if (!presentationChannel) return;
+    presentationChannel.postMessage({
+        type: 'state',
+        active: presentation.classList.contains('active'),
+        slides: presentationSlides,
+        index: presentationIndex,
+        blackout: presentationBlackout
+    });
+}
+
+// items: [{ hymn, stanzas }] to present in order (stanzas: optional stanza numbers)
+async function openPresentation(items) {
+    const list = (items || []).filter(item => item && item.hymn);
+    if (!list.length) return;
+    const entries = [];
+    for (const item of list) {
+        entries.push({ hymn: item.hymn, stanzas: item.stanzas, model: await getParsedLyrics(item.hymn) });
+        await loadCues(item.hymn);
+    }
+    presentationSlides = buildSlides(entries);
+    activePresentationCue = null;
+    presentation.classList.add('active');
+    showSlide(0);
+    if (presentation.requestFullscreen && !document.fullscreenElement) {
+        presentation.requestFullscreen().catch(() => { /* stay in the overlay */ });
+    }
+}
+
+function closePresentation() {
+    if (!presentation.classList.contains('active')) return;
+    presentation.classList.remove('active');
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    presentationSlides = [];
+    broadcastPresentation();
+}
+
+function openPresenterView() {
+    const win = window.open('presenter.html', 'hymn-haven-presenter', 'width=960,height=640');
+    if (!win) showToast(t('Allow pop-ups to open the presenter view'));
+}
+
+// keyboard and presentation clickers (which send PageUp/PageDown, arrows and "b"/".")
+function onPresentationKeydown(e) {
+    if (!presentation.classList.contains('active')) return;
+    switch (e.key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+    case 'PageDown':
+    case ' ':
+    case 'Enter':
+        showSlide(presentationIndex + 1);
+        break;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+    case 'PageUp':
+    case 'Backspace':
+        showSlide(presentationIndex - 1);
+        break;
+    case 'Home':
+        showSlide(0);
+        break;
+    case 'End':
+        showSlide(presentationSlides.length - 1);
+        break;
+    case 'b':
+    case 'B':
+    case '.':
+        toggleBlackout();
+        break;
+    case 'Escape':
+        closePresentation();
+        break;
+    default:
+        return;
+    }
+    e.preventDefault();
+}
+
+function onPresentationPointerDown(e) {
+    presentationSwipeStart = { x: e.clientX, y: e.clientY };
+}
+
+function onPresentationPointerUp(e) {
+    const start = presentationSwipeStart;
+    presentationSwipeStart = null;
+    if (!start || e.target.closest('.presentation-controls')) return;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+        showSlide(presentationIndex + (dx < 0 ? 1 : -1));
+    } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+        // tap: right side advances, left side goes back
+        showSlide(presentationIndex + (e.clientX > window.innerWidth / 3 ? 1 : -1));
+    }
+}
+
+// commands from the presenter view
+function onPresentationMessage(e) {
+    const msg = e.data || {};
+    if (msg.type === 'hello') broadcastPresentation();
+    if (!presentation.classList.contains('active')) return;
+    if (msg.type === 'goto') showSlide(msg.index);
+    if (msg.type === 'blackout') toggleBlackout();
+    if (msg.type === 'close') closePresentation();
+}
+
+// ---------- Print & bulletin ----------
+// Hymn sheets for paper. The print dialog picks a layout and the stanzas to
+// include, then fills #print-sheet, which the print stylesheet shows instead
+// of the app ("Save as PDF" in the browser's dialog makes a PDF). The same
+// sheet downloads as HTML or plain text for a church bulletin.
+const PRINT_LAYOUTS = ['one', 'two', 'large'];
+let printJob = null;       // { title, subtitle, fileName, items: [{ hymn, model, stanzas, note }] }
+let printLayout = 'one';
+
+// styles for the downloaded HTML, which has to stand on its own
+const PRINT_BUNDLE_CSS = `
+body { font-family: Georgia, 'Times New Roman', serif; color: #000; margin: 2rem auto; max-width: 50rem; padding: 0 1rem; }
+.print-header { text-align: center; margin-bottom: 1.5rem; }
+.print-header h1 { font-size: 1.6em; margin: 0; }
+.print-header p { margin: 0.3rem 0 0; }
+.print-hymn { margin-bottom: 1.5rem; }
+.print-hymn-title { font-size: 1.2em; margin: 0 0 0.6rem; break-after: avoid; }
+.print-hymn-number { font-weight: normal; margin-right: 0.4em; }
+.print-note { font-style: italic; margin: 0 0 0.6rem; }
+.print-block { display: flex; gap: 0.6em; margin-bottom: 0.8rem; break-inside: avoid; }
+.print-block p { margin: 0; line-height: 1.45; }
+.print-label { min-width: 1.4em; font-weight: bold; }
+.print-refrain { font-style: italic; padding-left: 1.5em; }
+.print-refrain .print-label { display: none; }
+.print-two .print-hymns { column-count: 2; column-gap: 2.5em; }
+.print-large { font-size: 18pt; }
+.print-large .print-hymn { break-before: page; }
+.print-large .print-hymn:first-child { break-before: auto; }`;
+
+// items: [{ hymn, stanzas, note }]; options: { title, subtitle, fileName } for the sheet
+async function openPrintDialog(items, { title = '', subtitle = '', fileName = 'hymns' } = {}) {
+    const list = (items || []).filter(item => item && item.hymn);
+    if (!list.length) return;
+    const entries = [];
+    for (const item of list) {
+        // in each hymn's reading language, like Share
+        const model = await getLyricsIn(item.hymn, readingLanguages(item.hymn).primary) || await getParsedLyrics(item.hymn);
+        entries.push({
+            hymn: item.hymn,
+            model,
+            stanzas: item.stanzas && item.stanzas.length ? [...item.stanzas] : null,
+            note: item.note || ''
+        });
+    }
+    printJob = { title, subtitle, fileName, items: entries };
+    renderPrintDialog();
+    printModal.classList.add('active');
+    trapFocus(printModal);
+}
+
+function closePrintDialog() {
+    printModal.classList.remove('active');
+    releaseFocus(printModal);
+    printJob = null;
+}
+
+// numbered stanzas of a hymn; hymns without numbers print in full
+const stanzaNumbers = (model) => model.stanzas.map(s => s.number).filter(n => n !== null);
+
+function renderPrintDialog() {
+    printLayouts.querySelectorAll('[data-layout]').forEach(btn => {
+        const active = btn.dataset.layout === printLayout;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
+    printItemsList.innerHTML = printJob.items.map((item, index) => {
+        const numbers = stanzaNumbers(item.model);
+        const chosen = (n) => !item.stanzas || item.stanzas.includes(n);
+        return `
+            <li class="print-item${isPrinted(item) ? '' : ' excluded'}" data-index="${index}">
+                <div class="print-item-title">
+                    <span class="hymn-number">${item.hymn.id}</span>
+                    ${escapeHtml(item.hymn.title)}
+                </div>
+                ${numbers.length > 1 ? `
+                    <div class="print-stanzas" role="group" aria-label="${escapeHtml(t('Stanzas of {title}', { title: item.hymn.title }))}">
+                        ${numbers.map(n => `<label><input type="checkbox" data-stanza="${n}"${chosen(n) ? ' checked' : ''}> ${n}</label>`).join('')}
+                    </div>`
+                    : `<span class="settings-status">${t('Printed in full')}</span>`}
+            </li>
+        `;
+    }).join('');
+}
+
+function onPrintItemsChange(e) {
+    const input = e.target.closest('[data-stanza]');
+    const itemEl = e.target.closest('.print-item');
+    if (!input || !itemEl || !printJob) return;
+    const item = printJob.items[Number(itemEl.dataset.index)];
+    const checked = [...itemEl.querySelectorAll('[data-stanza]:checked')].map(el => Number(el.dataset.stanza));
+    // every stanza ticked prints the hymn as written; none leaves it out
+    item.stanzas = checked.length === stanzaNumbers(item.model).length ? null : checked;
+    itemEl.classList.toggle('excluded', !isPrinted(item));
+}
+
+const isPrinted = (item) => !item.stanzas || item.stanzas.length > 0;
+
+// the blocks printed for one hymn, with the refrain written out after every stanza
+const printBlocks = (item) => sungOrder(item.model, item.stanzas).map(block => ({
+    refrain: block.type === 'refrain',
+    label: block.type === 'refrain' ? t('Refrain') : (block.number !== null ? String(block.number) : ''),
+    lines: block.lines
+}));
+
+function printSheetHtml(job) {
+    const header = job.title ? `
+        <header class="print-header">
+            <h1>${escapeHtml(job.title)}</h1>
+            ${job.subtitle ? `<p>${escapeHtml(job.subtitle)}</p>` : ''}
+        </header>` : '';
+    const hymnsHtml = job.items.filter(isPrinted).map(item => `
+        <article class="print-hymn">
+            <h2 class="print-hymn-title"><span class="print-hymn-number">${item.hymn.id}</span>${escapeHtml(item.hymn.title)}</h2>
+            ${item.note ? `<p class="print-note">${escapeHtml(item.note)}</p>` : ''}
+            ${printBlocks(item).map(block => `
+                <div class="print-block${block.refrain ? ' print-refrain' : ''}">
+                    ${block.label ? `<span class="print-label">${escapeHtml(block.label)}</span>` : ''}
+                    <p>${block.lines.map(escapeHtml).join('<br>')}</p>
+                </div>`).join('')}
+        </article>`).join('');
+    return `${header}<div class="print-hymns">${hymnsHtml}</div>`;
+}
+
+function printSheetText(job) {
+    const out = [];
+    if (job.title) out.push(job.title, ...(job.subtitle ? [job.subtitle] : []), '');
+    for (const item of job.items.filter(isPrinted)) {
+        out.push(`${item.hymn.id} – ${item.hymn.title}`);
+        if (item.note) out.push(`(${item.note})`);
+        out.push('');
+        for (const block of printBlocks(item)) {
+            if (block.label) out.push(block.label);
+            out.push(...block.lines.map(line => (block.refrain ? `    ${line}` : line)), '');
+        }
+        out.push('');
+    }
+    return `${out.join('\n').trim()}\n`;
+}
+
+// toast and false when every hymn has been left out
+function hasPrintableHymns() {
+    if (printJob && printJob.items.some(isPrinted)) return true;
+    showToast(t('Choose at least one stanza to print'));
+    return false;
+}
+
+function printSheet() {
+    if (!hasPrintableHymns()) return;
+    printSheetEl.className = `print-sheet print-${printLayout}`;
+    printSheetEl.innerHTML = printSheetHtml(printJob);
+    // the print stylesheet only swaps the app for the sheet while this is set
+    document.body.classList.add('printing');
+    window.print();
+}
+
+function onAfterPrint() {
+    document.body.classList.remove('printing');
+    printSheetEl.innerHTML = '';
+}
+
+function downloadPrintHtml() {
+    if (!hasPrintableHymns()) return;
+    const title = printJob.title || printJob.items.map(item => item.hymn.title).join(', ');
+    downloadFile(`${printJob.fileName}.html`, `<!DOCTYPE html>
+<html lang="${uiLocale}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_BUNDLE_CSS}
+</style>
+</head>
+<body>
+<div class="print-sheet print-${printLayout}">${printSheetHtml(printJob)}</div>
+</body>
+</html>
+`, 'text/html');
+}
+
+function downloadPrintText() {
+    if (!hasPrintableHymns()) return;
+    downloadFile(`${printJob.fileName}.txt`, printSheetText(printJob));
+}
+
+// ---------- Share ----------
+// Sends a hymn, or some of its lines, to someone else. The lines are picked
+// in the share dialog (or selected in the lyrics before opening it) and go
+// out as text through the Web Share API, or the clipboard where there is
+// none, with a link back that highlights them: #/hymn/12?v=s1.1-s1.4 names
+// the first and last line by sungBlockKeys key and 1-based line. The same
+// lines can be drawn onto a canvas and saved or shared as a PNG.
+const VERSE_PARAM_RE = /^([bsr]\d+)\.(\d+)-([bsr]\d+)\.(\d+)$/;
+const SHARE_IMAGE = { width: 1080, padding: 96, lyricsSize: 46, captionSize: 34, brandSize: 26 };
+// the app's palettes (:root and .dark-mode in style.css)
+const SHARE_THEMES = {
+    light: { background: '#FFFFFF', text: '#212529', accent: '#6C63FF', muted: '#6C757D' },
+    dark: { background: '#121212', text: '#F8F9FA', accent: '#A9A4FF', muted: '#A0A0A0' }
+};
+let shareJob = null;       // { hymn, lines: [{ key, line, text, refrain }], blocks: [{ label, start, end }], from, to, anchor, theme }
+let sharedVerse = null;    // { hymnId, from, to } from an opened link, highlighted once the lyrics are in
+
+// "s1.1-s1.4" -> { from: { key, line }, to: { key, line } } with 0-based lines
+function parseVerseParam(value) {
+    const m = VERSE_PARAM_RE.exec(value || '');
+    if (!m || !Number(m[2]) || !Number(m[4])) return null;
+    return { from: { key: m[1], line: Number(m[2]) - 1 }, to: { key: m[3], line: Number(m[4]) - 1 } };
+}
+
+// the link to a hymn, with the shared lines when there are some
+function shareUrl(hymn, lines) {
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+    const hash = first
+        ? `${hymnHash(hymn.id)}?v=${first.key}.${first.line + 1}-${last.key}.${last.line + 1}`
+        : hymnHash(hymn.id);
+    return `${location.origin}${location.pathname}${hash}`;
+}
+
+// every line in the detail view with its block key and index in the block
+// (translations shown side by side have no key and are left out)
+function detailLines() {
+    const lines = [];
+    lyricsContainer.querySelectorAll('[data-key]').forEach(blockEl => {
+        blockEl.querySelectorAll('.lyrics-line').forEach((el, line) => lines.push({ el, key: blockEl.dataset.key, line }));
+    });
+    return lines;
+}
+
+// the lines the reader's text selection touches
+function selectedLyricsLines() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.rangeCount) return [];
+    const range = selection.getRangeAt(0);
+    return detailLines().filter(({ el }) => range.intersectsNode(el));
+}
+
+// a shared link was opened: mark its lines once the hymn is showing
+function highlightSharedVerse() {
+    if (!sharedVerse || !currentHymn || sharedVerse.hymnId !== currentHymn.id) return;
+    const { from, to } = sharedVerse;
+    sharedVerse = null;
+    const lines = detailLines();
+    const start = lines.findIndex(l => l.key === from.key && l.line === from.line);
+    const end = lines.findIndex(l => l.key === to.key && l.line === to.line);
+    if (start === -1 || end < start) return;
+    lines.slice(start, end + 1).forEach(({ el }) => el.classList.add('shared-line'));
+    lines[start].el.scrollIntoView({ block: 'center' });
+}
+
+// lines in the reading language, starting with the reader's selection or the first block
+async function openShareDialog(hymn) {
+    if (!hymn) return;
+    const model = await getLyricsIn(hymn, readingLanguages(hymn).primary) || await getParsedLyrics(hymn);
+    const order = sungOrder(model);
+    const keys = sungBlockKeys(model, order);
+    const lines = [];
+    const blocks = [];
+    order.forEach((block, i) => {
+        if (!block.lines.length) return;
+        const label = block.type === 'refrain' ? t('Refrain') : (block.number !== null ? String(block.number) : '');
+        blocks.push({ label, start: lines.length, end: lines.length + block.lines.length - 1 });
+        block.lines.forEach((text, line) => lines.push({ key: keys[i], line, text, refrain: block.type === 'refrain' }));
+    });
+    const picked = (hymn === currentHymn ? selectedLyricsLines() : [])
+        .map(sel => lines.findIndex(l => l.key === sel.key && l.line === sel.line))
+        .filter(i => i !== -1);
+    const [from, to] = picked.length
+        ? [Math.min(...picked), Math.max(...picked)]
+        : blocks.length ? [blocks[0].start, blocks[0].end] : [null, null];
+    shareJob = {
+        hymn, lines, blocks, from, to,
+        anchor: null,
+        theme: document.body.classList.contains('dark-mode') ? 'dark' : 'light'
+    };
+    renderShareDialog();
+    shareModal.classList.add('active');
+    trapFocus(shareModal);
+}
+
+function closeShareDialog() {
+    shareModal.classList.remove('active');
+    releaseFocus(shareModal);
+    shareJob = null;
+}
+
+const sharedLines = (job) => (job.from === null ? [] : job.lines.slice(job.from, job.to + 1));
+
+const canShareFiles = () => Boolean(navigator.canShare)
+    && navigator.canShare({ files: [new File([''], 'verse.png', { type: 'image/png' })] });
+
+function renderShareDialog() {
+    const { hymn, lines, blocks } = shareJob;
+    shareHymnEl.textContent = `${hymn.id} – ${hymn.title}`;
+    shareLinesEl.innerHTML = lines.length ? blocks.map((block, b) => `
+        <div class="share-block">
+            ${block.label ? `<button class="share-label" data-share-block="${b}" title="${escapeHtml(t('Whole stanza'))}">${escapeHtml(block.label)}</button>` : ''}
+            <div class="share-block-lines">
+                ${lines.slice(block.start, block.end + 1).map((line, i) => `
+                    <button class="share-line${line.refrain ? ' refrain' : ''}" data-share-line="${block.start + i}">${escapeHtml(line.text)}</button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('') : `<p class="settings-status">${t('Lyrics not available')}</p>`;
+    shareShareBtn.querySelector('span').textContent = t(navigator.share ? 'Share' : 'Copy');
+    shareImageBtn.querySelector('span').textContent = t(canShareFiles() ? 'Share Image' : 'Save Image');
+    updateShareSelection();
+}
+
+// the picked lines and the image follow every tap
+function updateShareSelection() {
+    const { from, to, anchor, theme } = shareJob;
+    shareLinesEl.querySelectorAll('[data-share-line]').forEach(btn => {
+        const i = Number(btn.dataset.shareLine);
+        const selected = from !== null && i >= from && i <= to;
+        btn.classList.toggle('selected', selected);
+        btn.classList.toggle('anchor', i === anchor);
+        btn.setAttribute('aria-pressed', String(selected));
+    });
+    shareThemes.querySelectorAll('[data-share-theme]').forEach(btn => {
+        const active = btn.dataset.shareTheme === theme;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
+    shareCanvas.classList.toggle('hidden', !drawVerseImage(shareCanvas, shareJob));
+}
+
+// first tap: that line (and the start of a range); second tap: the range up to it
+function onShareLinesClick(e) {
+    const blockBtn = e.target.closest('[data-share-block]');
+    const lineBtn = e.target.closest('[data-share-line]');
+    if (blockBtn) {
+        const block = shareJob.blocks[Number(blockBtn.dataset.shareBlock)];
+        Object.assign(shareJob, { from: block.start, to: block.end, anchor: null });
+    } else if (lineBtn) {
+        const i = Number(lineBtn.dataset.shareLine);
+        const { anchor } = shareJob;
+        if (anchor === null) Object.assign(shareJob, { from: i, to: i, anchor: i });
+        else Object.assign(shareJob, { from: Math.min(anchor, i), to: Math.max(anchor, i), anchor: null });
+    } else {
+        return;
+    }
+    updateShareSelection();
+}
+
+// "lines…\n\n— 12 · Title"; the whole hymn is just its number and title
+function shareText(job) {
+    const lines = sharedLines(job).map(line => line.text);
+    const caption = `${job.hymn.id} · ${job.hymn.title}`;
+    return lines.length ? `${lines.join('\n')}\n\n— ${caption}` : caption;
+}
+
+async function shareExcerpt() {
+    const { hymn } = shareJob;
+    const data = { title: `${hymn.id} – ${hymn.title}`, text: shareText(shareJob), url: shareUrl(hymn, sharedLines(shareJob)) };
+    if (navigator.share) {
+        try {
+            await navigator.share(data);
+            return;
+        } catch (err) {
+            if (err.name === 'AbortError') return; // the reader closed the share sheet
+            // anything else: copy instead
+        }
+    }
+    await copyText(`${data.text}\n${data.url}`, t('Copied to the clipboard'));
+}
+
+function copyShareLink() {
+    copyText(shareUrl(shareJob.hymn, sharedLines(shareJob)), t('Link copied'));
+}
+
+// the clipboard API where it's allowed, else the older select-and-copy
+async function copyText(text, message) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (err) {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.setAttribute('readonly', '');
+        area.className = 'copy-buffer';
+        // inside the open dialog, so its focus trap doesn't pull focus away
+        (focusTraps.length ? focusTraps[focusTraps.length - 1].container : document.body).appendChild(area);
+        area.select();
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (copyErr) {
+            // no clipboard at all
+        }
+        area.remove();
+        if (!copied) {
+            showToast(t("Couldn't copy to the clipboard"));
+            return;
+        }
+    }
+    showToast(message);
+}
+
+// splits text into rows no wider than maxWidth in the context's current font
+function wrapCanvasText(ctx, text, maxWidth) {
+    const rows = [];
+    let row = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const next = row ? `${row} ${word}` : word;
+        if (row && ctx.measureText(next).width > maxWidth) {
+            rows.push(row);
+            row = word;
+        } else {
+            row = next;
+        }
+    }
+    if (row) rows.push(row);
+    return rows;
+}
+
+// the shared lines, then the number and title; the canvas grows to fit.
+// false when the browser can't draw
+function drawVerseImage(canvas, job) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return false;
+    const { width, padding, lyricsSize, captionSize, brandSize } = SHARE_IMAGE;
+    const colors = SHARE_THEMES[job.theme];
+    const lyricsFont = (italic) => `${italic ? 'italic ' : ''}${lyricsSize}px Georgia, 'Times New Roman', serif`;
+    const captionFont = `600 ${captionSize}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    const maxWidth = width - padding * 2;
+    const lyricsLeading = lyricsSize * 1.5;
+    const captionLeading = captionSize * 1.4;
+
+    // wrap first: resizing the canvas clears it
+    const rows = [];
+    for (const line of sharedLines(job)) {
+        ctx.font = lyricsFont(line.refrain);
+        wrapCanvasText(ctx, line.text, maxWidth).forEach(text => rows.push({ text, italic: line.refrain }));
+    }
+    ctx.font = captionFont;
+    const caption = wrapCanvasText(ctx, `${job.hymn.id} · ${job.hymn.title}`, maxWidth);
+    const gap = rows.length ? padding / 2 : 0;
+    canvas.width = width;
+    canvas.height = Math.ceil(padding * 2 + rows.length * lyricsLeading + gap + caption.length * captionLeading + brandSize * 1.5);
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = colors.accent;
+    ctx.fillRect(0, 0, 16, canvas.height);
+    ctx.textBaseline = 'top';
+    let y = padding;
+    ctx.fillStyle = colors.text;
+    for (const row of rows) {
+        ctx.font = lyricsFont(row.italic);
+        ctx.fillText(row.text, padding, y);
+        y += lyricsLeading;
+    }
+    y += gap;
+    ctx.fillStyle = colors.accent;
+    ctx.font = captionFont;
+    for (const text of caption) {
+        ctx.fillText(text, padding, y);
+        y += captionLeading;
+    }
+    ctx.fillStyle = colors.muted;
+    ctx.font = `${brandSize}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    ctx.fillText('Hymn Haven', padding, y + brandSize * 0.3);
+    return true;
+}
+
+// shared as a file where the browser can, otherwise downloaded
+async function shareVerseImage() {
+    const blob = drawVerseImage(shareCanvas, shareJob)
+        ? await new Promise(resolve => shareCanvas.toBlob(resolve, 'image/png'))
+        : null;
+    if (!blob) {
+        showToast(t("Images can't be made in this browser"));
+        return;
+    }
+    const { hymn } = shareJob;
+    const name = `hymn-${hymn.id}.png`;
+    if (canShareFiles()) {
+        try {
+            await navigator.share({ title: `${hymn.id} – ${hymn.title}`, files: [new File([blob], name, { type: 'image/png' })] });
+            return;
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+        }
+    }
+    downloadFile(name, blob, 'image/png');
+    showToast(t('Image saved'));
+}
+
+// ---------- Timed Cues (synced lyrics) ----------
+// A hymn may name a cue file in hymns.json ("cues": "data/cues/001.lrc"), in
+// LRC or WebVTT, read and matched to the sung order by cues.js. While the
+// hymn plays, the detail view and the presentation follow along.
+const cuesCache = new Map();   // hymn.id -> aligned cues ([] when there are none)
+let activeDetailCue = null;
+let activePresentationCue = null;
+let cueRecording = null;       // { hymn, lines: [{ key, line, text }], cues: [] } while tapping along
+
+async function loadCues(hymn) {
+    if (cuesCache.has(hymn.id)) return cuesCache.get(hymn.id);
+    let cues = [];
+    if (hymn.cues) {
+        try {
+            const res = await fetch(hymn.cues);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const model = await getParsedLyrics(hymn);
+            const order = sungOrder(model);
+            cues = alignCues(parseCues(await res.text(), hymn.cues), order, sungBlockKeys(model, order));
+        } catch (err) {
+            console.warn(`Cues for hymn ${hymn.id} unavailable`, err);
+        }
+    }
+    cuesCache.set(hymn.id, cues);
+    return cues;
+}
+
+function highlightDetailCue(cue) {
+    lyricsContainer.querySelectorAll('.cue-active').forEach(el => el.classList.remove('cue-active'));
+    if (!cue) return;
+    const blockEl = lyricsContainer.querySelector(`[data-key="${cue.key}"]`);
+    if (!blockEl) return;
+    blockEl.classList.add('cue-active');
+    const lineEl = cue.line !== null ? blockEl.querySelectorAll('.lyrics-line')[cue.line] : null;
+    if (lineEl) lineEl.classList.add('cue-active');
+    (lineEl || blockEl).scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+// move the presentation to the cue's slide (the nearest one from here, as a
+// service can list a hymn twice) and mark the line being sung
+function followCueInPresentation(cue) {
+    let index = -1;
+    presentationSlides.forEach((slide, i) => {
+        if (slide.hymnId !== nowPlaying.id || slide.key !== cue.key) return;
+        if (index === -1 || (index < presentationIndex && i >= presentationIndex)) index = i;
+    });
+    if (index === -1) return;
+    if (index !== presentationIndex && !presentationBlackout) showSlide(index);
+    presentationSlideEl.querySelectorAll('.slide-line').forEach((el, i) => {
+        el.classList.toggle('cue-active', i === cue.line);
+    });
+}
+
+// runs on timeupdate; only touches the DOM when the cue changes
+function syncCues() {
+    if (!nowPlaying || cueRecording) return;
+    const cues = cuesCache.get(nowPlaying.id);
+    if (!cues || !cues.length) return;
+    const cue = cueAt(cues, audio.currentTime);
+    if (isDetailPlaying() && cue !== activeDetailCue) {
+        activeDetailCue = cue;
+        highlightDetailCue(cue);
+    }
+    if (presentation.classList.contains('active') && cue && cue !== activePresentationCue) {
+        activePresentationCue = cue;
+        followCueInPresentation(cue);
+    }
+}
+
+// ---------- Pitch pipe & metronome ----------
+// For singing without a recording: the hymn's first note or key chord and a
+// metronome with count-in, synthesized with Web Audio so they work offline
+// and alongside `audio`. The key, startingNote, tempo and timeSignature
+// fields come from the catalog (see Hymn Metadata); without a key the panel
+// offers the twelve notes to pick from.
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const NOTE_STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { '': 0, '#': 1, '♯': 1, b: -1, '♭': -1 };
+const KEY_RE = /^([A-Ga-g])\s*([#♯b♭]?)\s*(m|min|minor|maj|major)?$/i;
+const NOTE_RE = /^([A-Ga-g])([#♯b♭]?)([1-7])$/;
+const TIME_SIGNATURES = ['2/2', '2/4', '3/4', '4/4', '3/2', '6/8', '9/8', '12/8'];
+const TEMPO_RANGE = [40, 208];
+const METRONOME_DEFAULTS = { tempo: 90, timeSignature: '4/4', countIn: 1 };
+const METRONOME_LOOKAHEAD = 0.1;     // seconds of clicks queued ahead on the audio clock
+const TONIC_MIDI = 60;               // keys and picked notes sound from middle C up
+let audioContext = null;
+let pitchPipeOpen = false;
+let pickedNote = null;               // 0–11, chosen in the panel for a hymn without a key
+let metronomeSettings = { ...METRONOME_DEFAULTS };   // last used, kept in storage as "metronome"
+let metronomeView = { ...METRONOME_DEFAULTS };       // what the open hymn uses
+let metronome = null;                // { timer, beat, total, nextBeat, interval, perBar, timeSignature } while clicking
+
+const midiFrequency = (midi) => 440 * 2 ** ((midi - 69) / 12);
+// "Bb" -> "B♭", for display only
+const prettyPitch = (name) => name.replace('#', '♯').replace(/^([A-G])b/, '$1♭');
+
+// "G", "Eb", "f# minor" -> { pitch: 0–11, minor, name: "F#m" }
+function parseKey(text) {
+    const m = KEY_RE.exec(String(text || '').trim());
+    if (!m) return null;
+    const letter = m[1].toUpperCase();
+    const accidental = m[2].replace('♯', '#').replace('♭', 'b');
+    const quality = (m[3] || '').toLowerCase();
+    const minor = quality.startsWith('m') && !quality.startsWith('maj');
+    return { pitch: (NOTE_STEPS[letter] + ACCIDENTALS[accidental] + 12) % 12, minor, name: `${letter}${accidental}${minor ? 'm' : ''}` };
+}
+
+// "D4", "Bb3" -> { midi, name }
+function parseNote(text) {
+    const m = NOTE_RE.exec(String(text || '').trim());
+    if (!m) return null;
+    const letter = m[1].toUpperCase();
+    const accidental = m[2].replace('♯', '#').replace('♭', 'b');
+    return { midi: 12 * (Number(m[3]) + 1) + NOTE_STEPS[letter] + ACCIDENTALS[accidental], name: `${letter}${accidental}${m[3]}` };
+}
+
+function keyLabel(key) {
+    const tonic = prettyPitch(key.name.replace(/m$/, ''));
+    return key.minor ? t('{key} minor', { key: tonic }) : t('{key} major', { key: tonic });
+}
+
+function normalizeMetronome(value) {
+    const out = { ...METRONOME_DEFAULTS, ...(isPlainObject(value) ? value : {}) };
+    out.tempo = Math.round(clamp(Number(out.tempo) || METRONOME_DEFAULTS.tempo, TEMPO_RANGE));
+    if (!TIME_SIGNATURES.includes(out.timeSignature)) out.timeSignature = METRONOME_DEFAULTS.timeSignature;
+    if (![1, 2].includes(out.countIn)) out.countIn = METRONOME_DEFAULTS.countIn;
+    return out;
+}
+
+// the note to give: startingNote, else the key's tonic, else the picked note
+function startingMidi(hymn) {
+    const note = parseNote(hymn.startingNote);
+    if (note) return note.midi;
+    const key = parseKey(hymn.key);
+    if (key) return TONIC_MIDI + key.pitch;
+    return pickedNote === null ? null : TONIC_MIDI + pickedNote;
+}
+
+// root, third, fifth and octave of the key (major on a picked note)
+function keyChord(hymn) {
+    const key = parseKey(hymn.key);
+    const root = key ? TONIC_MIDI + key.pitch : (pickedNote === null ? null : TONIC_MIDI + pickedNote);
+    if (root === null) return null;
+    return [root, root + (key && key.minor ? 3 : 4), root + 7, root + 12];
+}
+
+function getAudioContext() {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!Context) {
+        showToast(t('Sound is not supported in this browser'));
+        return null;
+    }
+    audioContext = audioContext || new Context();
+    // browsers keep it suspended until a tap
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+// a soft reed-like tone, filtered so it doesn't buzz
+function playTone(ctx, midi, start, duration, level = 0.25) {
+    const osc = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    osc.type = 'sawtooth';
+    osc.frequency.value = midiFrequency(midi);
+    filter.type = 'lowpass';
+    filter.frequency.value = midiFrequency(midi) * 3;
+    env.gain.setValueAtTime(0, start);
+    env.gain.linearRampToValueAtTime(level, start + 0.05);
+    env.gain.setValueAtTime(level, start + duration - 0.3);
+    env.gain.linearRampToValueAtTime(0, start + duration);
+    osc.connect(filter).connect(env).connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + duration);
+}
+
+// seconds until the note has sounded, 0 when there is none
+function playStartingNote() {
+    const midi = currentHymn ? startingMidi(currentHymn) : null;
+    if (midi === null) {
+        showToast(t('Pick a note first'));
+        return 0;
+    }
+    const ctx = getAudioContext();
+    if (!ctx) return 0;
+    playTone(ctx, midi, ctx.currentTime + 0.02, 1.6);
+    return 1.6;
+}
+
+// the chord rolled upwards, then held together
+function playKeyChord() {
+    const chord = currentHymn ? keyChord(currentHymn) : null;
+    if (!chord) {
+        showToast(t('Pick a note first'));
+        return;
+    }
+    const ctx = getAudioContext();
+    if (!ctx) return;
+    const start = ctx.currentTime + 0.02;
+    chord.forEach((midi, i) => playTone(ctx, midi, start + i * 0.3, 3 - i * 0.3, 0.12));
+}
+
+function playClick(ctx, time, accent) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.frequency.value = accent === 2 ? 1600 : accent ? 1200 : 900;
+    env.gain.setValueAtTime(accent ? 0.5 : 0.3, time);
+    env.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+    osc.connect(env).connect(ctx.destination);
+    osc.start(time);
+    osc.stop(time + 0.06);
+}
+
+// 2: the downbeat, 1: the other strong beats of compound time (6/8 feels in twos)
+function beatAccent(timeSignature, beat) {
+    if (beat === 0) return 2;
+    const [count, unit] = timeSignature.split('/').map(Number);
+    return unit === 8 && count % 3 === 0 && beat % 3 === 0 ? 1 : 0;
+}
+
+// bars: stop after that many (count-in), 0 keeps going; delay: seconds before the first click
+function startMetronome({ bars = 0, delay = 0 } = {}) {
+    stopMetronome();
+    const ctx = getAudioContext();
+    if (!ctx) return;
+    const { tempo, timeSignature } = metronomeView;
+    const perBar = Number(timeSignature.split('/')[0]);
+    metronome = {
+        beat: 0,
+        total: bars ? bars * perBar : Infinity,
+        nextBeat: ctx.currentTime + 0.05 + delay,
+        interval: 60 / tempo,
+        perBar,
+        timeSignature
+    };
+    metronome.timer = setInterval(scheduleClicks, 25);
+    scheduleClicks();
+    updateMetronomeButton();
+}
+
+function stopMetronome() {
+    if (!metronome) return;
+    clearInterval(metronome.timer);
+    metronome = null;
+    showBeat(-1);
+    updateMetronomeButton();
+}
+
+// queue the clicks due within the look-ahead; the beat dots follow on timers
+function scheduleClicks() {
+    const m = metronome;
+    if (!m) return;
+    const ctx = audioContext;
+    while (m.nextBeat < ctx.currentTime + METRONOME_LOOKAHEAD) {
+        if (m.beat >= m.total) {
+            clearInterval(m.timer);
+            setTimeout(() => { if (metronome === m) stopMetronome(); }, (m.nextBeat - ctx.currentTime) * 1000);
+            return;
+        }
+        const beat = m.beat % m.perBar;
+        playClick(ctx, m.nextBeat, beatAccent(m.timeSignature, beat));
+        setTimeout(() => { if (metronome === m) showBeat(beat); }, Math.max(0, (m.nextBeat - ctx.currentTime) * 1000));
+        m.beat++;
+        m.nextBeat += m.interval;
+    }
+}
+
+// the starting note, then the count-in bars
+function countIn() {
+    const noteLength = playStartingNote();
+    startMetronome({ bars: metronomeSettings.countIn, delay: noteLength ? noteLength + 0.3 : 0 });
+}
+
+function toggleMetronome() {
+    if (metronome && metronome.total === Infinity) stopMetronome();
+    else startMetronome();
+}
+
+function showBeat(beat) {
+    metronomeBeats.querySelectorAll('span').forEach((dot, i) => dot.classList.toggle('active', i === beat));
+}
+
+function updateMetronomeButton() {
+    const running = Boolean(metronome) && metronome.total === Infinity;
+    metronomeToggle.innerHTML = `<i class="fas fa-${running ? 'stop' : 'play'}"></i>
+                                 <span>${t(running ? 'Stop Metronome' : 'Start Metronome')}</span>`;
+    metronomeToggle.classList.toggle('active', running);
+}
+
+function setMetronome(changes) {
+    metronomeView = { ...metronomeView, ...changes };
+    metronomeSettings = normalizeMetronome({ ...metronomeSettings, ...changes });
+    storage.set('metronome', metronomeSettings);
+    // a running metronome follows along
+    if (metronome && changes.tempo) metronome.interval = 60 / metronomeView.tempo;
+    if (metronome && changes.timeSignature) {
+        if (metronome.total === Infinity) startMetronome();
+        else stopMetronome();
+    }
+    renderPitchPipe();
+}
+
+// a new hymn: its own tempo and time signature, else the last used
+function preparePitchPipe(hymn) {
+    stopMetronome();
+    pickedNote = null;
+    metronomeView = {
+        tempo: hymn.tempo || metronomeSettings.tempo,
+        timeSignature: hymn.timeSignature || metronomeSettings.timeSignature
+    };
+    renderPitchPipe();
+}
+
+function renderPitchPipe() {
+    const hymn = currentHymn;
+    pitchPipe.classList.toggle('hidden', !pitchPipeOpen);
+    pitchPipeBtn.classList.toggle('active', pitchPipeOpen);
+    pitchPipeBtn.setAttribute('aria-expanded', String(pitchPipeOpen));
+    if (!hymn) return;
+    const key = parseKey(hymn.key);
+    const note = parseNote(hymn.startingNote);
+    const parts = [];
+    if (key) parts.push(t('Key of {key}', { key: keyLabel(key) }));
+    if (note) parts.push(t('starts on {note}', { note: prettyPitch(note.name) }));
+    pitchPipeKey.textContent = parts.length
+        ? parts.join(' · ')
+        : t('No key is set for this hymn. Pick the note to start on:');
+    // the chromatic choice only matters without a key or first note
+    const picking = !key && !note;
+    pitchNotes.classList.toggle('hidden', !picking);
+    if (picking) {
+        pitchNotes.innerHTML = NOTE_NAMES.map((name, i) => `
+            <button class="pitch-note${pickedNote === i ? ' active' : ''}" data-note="${i}" aria-pressed="${pickedNote === i}">${prettyPitch(name)}</button>
+        `).join('');
+    }
+    pitchChordBtn.disabled = !keyChord(hymn);
+    pitchNoteBtn.disabled = startingMidi(hymn) === null;
+    metronomeTempo.value = metronomeView.tempo;
+    metronomeTempoValue.textContent = metronomeView.tempo;
+    if (!metronomeTime.options.length) metronomeTime.innerHTML = TIME_SIGNATURES.map(sig => `<option value="${sig}">${sig}</option>`).join('');
+    metronomeTime.value = metronomeView.timeSignature;
+    metronomeCountIn.value = String(metronomeSettings.countIn);
+    const perBar = Number(metronomeView.timeSignature.split('/')[0]);
+    if (metronomeBeats.children.length !== perBar) metronomeBeats.innerHTML = '<span></span>'.repeat(perBar);
+    updateMetronomeButton();
+}
+
+function togglePitchPipe() {
+    pitchPipeOpen = !pitchPipeOpen;
+    if (!pitchPipeOpen) stopMetronome();
+    renderPitchPipe();
+}
+
+function onPitchNotesClick(e) {
+    const btn = e.target.closest('[data-note]');
+    if (!btn) return;
+    pickedNote = Number(btn.dataset.note);
+    renderPitchPipe();
+    playStartingNote();
+}
+
+// ---------- Cue recording (tap along) ----------
+// Plays the hymn from the start; each tap stamps the start of the next line.
+async function startCueRecording() {
+    if (!currentHymn) return;
+    const hymn = currentHymn;
+    if (!canPlay(hymn)) {
+        showToast(t('This hymn has no recording to time'));
+        return;
+    }
+    const model = await getParsedLyrics(hymn);
+    const order = sungOrder(model);
+    const keys = sungBlockKeys(model, order);
+    const lines = [];
+    order.forEach((block, i) => block.lines.forEach((text, line) => lines.push({ key: keys[i], line, text })));
+    if (!lines.length || currentHymn !== hymn) return;
+
+    cueRecording = { hymn, lines, cues: [] };
+    highlightDetailCue(null);
+    cueRecorder.classList.remove('hidden');
+    playHymnNow(hymn.id);
+    // cues are timed from the start: no resume, no A-B loop
+    pendingResume = null;
+    if (practiceLoop && practiceLoop.hymnId === hymn.id) clearLoop();
+    audio.currentTime = 0;
+    playAudio();
+    updateCueRecorder();
+}
+
+function tapCue() {
+    if (!cueRecording || !isDetailPlaying()) return;
+    const next = cueRecording.lines[cueRecording.cues.length];
+    if (!next) return;
+    cueRecording.cues.push({ ...next, time: audio.currentTime });
+    updateCueRecorder();
+}
+
+function undoCue() {
+    if (!cueRecording || !cueRecording.cues.length) return;
+    cueRecording.cues.pop();
+    updateCueRecorder();
+}
+
+// mark the line waiting for a tap and show progress
+function updateCueRecorder() {
+    lyricsContainer.querySelectorAll('.cue-next').forEach(el => el.classList.remove('cue-next'));
+    if (!cueRecording) return;
+    const { lines, cues } = cueRecording;
+    const next = lines[cues.length];
+    cueRecorderHint.textContent = next
+        ? t('Tap (or press Space) as each line starts — {count} of {total} timed', { count: cues.length, total: lines.length })
+        : t('All {total} lines timed — download the cues or stop', { total: lines.length });
+    if (!next) return;
+    const blockEl = lyricsContainer.querySelector(`[data-key="${next.key}"]`);
+    const lineEl = blockEl && blockEl.querySelectorAll('.lyrics-line')[next.line];
+    if (!lineEl) return;
+    lineEl.classList.add('cue-next');
+    lineEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+// keep what was recorded for this session so playback can be checked
+function stopCueRecording() {
+    if (!cueRecording) return;
+    const { hymn, cues } = cueRecording;
+    cueRecording = null;
+    if (cues.length) cuesCache.set(hymn.id, cues.map(({ time, key, line }) => ({ time, key, line })));
+    cueRecorder.classList.add('hidden');
+    updateCueRecorder();
+    activeDetailCue = null;
+    syncCues();
+}
+
+function exportCues(format) {
+    if (!cueRecording || !cueRecording.cues.length) {
+        showToast(t('Tap along to time some lines first'));
+        return;
+    }
+    const { hymn, cues } = cueRecording;
+    const name = String(hymn.id).padStart(3, '0');
+    if (format === 'vtt') downloadFile(`${name}.vtt`, formatVtt(cues, `${hymn.id} ${hymn.title}`, audio.duration), 'text/vtt');
+    else downloadFile(`${name}.lrc`, formatLrc(cues, hymn.title));
+    showToast(t('Saved {file} — add it to data/cues and hymns.json', { file: `${name}.${format}` }));
+}
+
+// Space/Enter taps and Backspace undoes while recording in the detail view
+function onCueRecorderKeydown(e) {
+    if (!cueRecording || !hymnDetail.classList.contains('active') || e.defaultPrevented) return;
+    // a focused button already taps/undoes with Space and Enter
+    if (e.target instanceof Element && e.target.closest('input, textarea, select, button')) return;
+    if (e.key === ' ' || e.key === 'Enter') tapCue();
+    else if (e.key === 'Backspace') undoCue();
+    else return;
+    e.preventDefault();
+}
+
+// ---------- Go to hymn (number keypad) ----------
+// Hymns get announced by number, so the keypad (the # button, or a digit typed
+// anywhere) opens one by its number instead of searching the lyrics for it.
+// In the detail view the header chevrons, Left/Right and a sideways swipe on
+// the lyrics turn to the previous/next number, like pages of a hymnal.
+let keypadValue = '';
+let detailSwipe = null;   // { x, y } where a one-finger touch on the lyrics started
+
+// hymns in book order
+const hymnsByNumber = () => hymns.slice().sort((a, b) => a.id - b.id);
+
+// longest number in the hymnal; the keypad stops taking digits there
+const keypadMaxDigits = () => String(hymns.reduce((max, h) => Math.max(max, h.id), 0)).length;
+
+// the hymn `step` places away in number order, null past either end
+function adjacentHymn(hymn, step) {
+    const list = hymnsByNumber();
+    const index = list.findIndex(h => h.id === hymn.id);
+    return index === -1 ? null : list[index + step] || null;
+}
+
+// turning replaces the open hymn's history entry, so Back still closes the detail view;
+// a timing recording belongs to one hymn, so it holds the page
+function turnHymn(step) {
+    if (!currentHymn || cueRecording) return;
+    const hymn = adjacentHymn(currentHymn, step);
+    if (hymn) navigate(hymnHash(hymn.id), { replace: true });
 }
 
-// update favorites container
-function updateFavoritesDisplay() {
-    const favHymns = hymns.filter(h => favorites.includes(h.id));
-    renderHymnsList(favHymns, favoritesContainer);
+function updateDetailNav() {
+    [[detailPrevBtn, -1, t('Previous hymn')], [detailNextBtn, 1, t('Next hymn')]].forEach(([btn, step, label]) => {
+        const hymn = currentHymn && adjacentHymn(currentHymn, step);
+        const text = hymn ? `${label}: ${hymn.id} – ${hymn.title}` : label;
+        btn.disabled = !hymn;
+        btn.title = text;
+        btn.setAttribute('aria-label', text);
+    });
 }
 
-// notes
-function openNotesModal() {
-    if (!currentHymn) return;
-    notesTextarea.value = notes[currentHymn.id] || '';
-    notesModal.classList.add('active');
+function openKeypad(digit = '') {
+    keypadValue = '';
+    pressKeypadKey(digit);
+    keypadModal.classList.add('active');
+    trapFocus(keypadModal);
 }
-function closeNotesModal() { notesModal.classList.remove('active'); }
-function saveNote() {
-    if (!currentHymn) return;
-    const text = (notesTextarea.value || '').trim();
-    if (text) {
-        notes[currentHymn.id] = text;
-        showToast('Note saved');
-    } else {
-        delete notes[currentHymn.id];
-        showToast('Note cleared');
-    }
-    localStorage.setItem('notes', JSON.stringify(notes));
-    closeNotesModal();
-    updateNotesDisplay();
-    updateHymnCard(currentHymn.id);
+
+function closeKeypad() {
+    keypadModal.classList.remove('active');
+    releaseFocus(keypadModal);
 }
-function updateNotesDisplay() {
-    const withNotes = hymns.filter(h => notes[h.id]);
-    renderHymnsList(withNotes, notesContainer);
+
+// key: a digit, 'back' or 'clear'
+function pressKeypadKey(key) {
+    if (key === 'clear') keypadValue = '';
+    else if (key === 'back') keypadValue = keypadValue.slice(0, -1);
+    else if (/^\d$/.test(key) && keypadValue.length < keypadMaxDigits()) keypadValue = `${keypadValue}${key}`.replace(/^0+/, '');
+    renderKeypad();
 }
 
-// mood
-function setMood(mood, evt) {
-    if (!currentHymn) return;
-    moods[currentHymn.id] = mood;
-    localStorage.setItem('moods', JSON.stringify(moods));
-    // update active state for mood options
-    moodOptions.forEach(opt => opt.classList.toggle('active', opt.dataset.mood === mood));
-    showToast(`Mood set to ${mood}`);
-    updateHymnCard(currentHymn.id);
+function renderKeypad() {
+    const hymn = keypadValue ? hymnById(keypadValue) : null;
+    keypadDisplay.textContent = keypadValue || '–';
+    if (hymn) keypadPreview.textContent = hymn.title;
+    else if (keypadValue) keypadPreview.textContent = t('No hymn {number}', { number: keypadValue });
+    else keypadPreview.textContent = t('Enter a hymn number');
+    keypadPreview.classList.toggle('missing', Boolean(keypadValue && !hymn));
+    keypadGo.disabled = !hymn;
 }
 
-function updateMoodDisplay() {
-    let list = hymns;
-    if (currentMoodFilter && currentMoodFilter !== 'all') {
-        list = hymns.filter(h => moods[h.id] === currentMoodFilter);
+function openKeypadHymn() {
+    const hymn = keypadValue ? hymnById(keypadValue) : null;
+    if (!hymn) return;
+    closeKeypad();
+    // from the detail view the hymn takes the open one's place, as turning does
+    navigate(hymnHash(hymn.id), { replace: Boolean(currentHymn) });
+}
+
+// shortcuts stay out of text fields, the presentation and dialogs above the detail view
+function shortcutsAllowed(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable]')) return false;
+    if (presentation.classList.contains('active')) return false;
+    const trap = focusTraps[focusTraps.length - 1];
+    return !trap || trap.container === hymnDetail;
+}
+
+// a digit (or #) opens the keypad; while it's open digits type into it,
+// Enter opens the hymn and Escape closes it
+function onKeypadKeydown(e) {
+    if (keypadModal.classList.contains('active')) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (/^\d$/.test(e.key)) pressKeypadKey(e.key);
+        else if (e.key === 'Backspace') pressKeypadKey('back');
+        else if (e.key === 'Delete') pressKeypadKey('clear');
+        else if (e.key === 'Escape') closeKeypad();
+        // a focused key or button takes Enter itself
+        else if (e.key === 'Enter' && !(e.target instanceof Element && e.target.closest('button'))) openKeypadHymn();
+        else return;
+        e.preventDefault();
+        return;
     }
-    renderHymnsList(list, moodContainer);
+    if (!/^\d$/.test(e.key) && e.key !== '#') return;
+    if (!shortcutsAllowed(e)) return;
+    e.preventDefault();
+    openKeypad(e.key === '#' ? '' : e.key);
 }
 
-// export/import/reset
-function exportData() {
-    const data = { favorites, notes, moods };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'hymn-haven-data.json';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    showToast('Data exported');
+// Left/Right turn the pages of the detail view
+function onDetailNavKeydown(e) {
+    if (!currentHymn || e.defaultPrevented || e.shiftKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    if (!shortcutsAllowed(e)) return;
+    e.preventDefault();
+    turnHymn(e.key === 'ArrowRight' ? 1 : -1);
 }
 
-function importData() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'application/json';
-    input.onchange = (e) => {
-        const file = e.target.files && e.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-            try {
-                const data = JSON.parse(ev.target.result);
-                favorites = Array.isArray(data.favorites) ? data.favorites : favorites;
-                notes = data.notes || notes;
-                moods = data.moods || moods;
-                localStorage.setItem('favorites', JSON.stringify(favorites));
-                localStorage.setItem('notes', JSON.stringify(notes));
-                localStorage.setItem('moods', JSON.stringify(moods));
-                updateFavoritesDisplay();
-                updateNotesDisplay();
-                updateMoodDisplay();
-                renderHymnsList(hymns, hymnsContainer);
-                showToast('Data imported');
-            } catch (err) {
-                console.error('Import error', err);
-                showToast('Import failed');
-            }
-        };
-        reader.readAsText(file);
-    };
-    input.click();
+function onDetailSwipeStart(e) {
+    // a second finger means a pinch, not a swipe
+    detailSwipe = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
 }
 
-function resetData() {
-    if (!confirm('Reset all saved data? This cannot be undone.')) return;
-    favorites = [];
-    notes = {};
-    moods = {};
-    localStorage.setItem('favorites', JSON.stringify(favorites));
-    localStorage.setItem('notes', JSON.stringify(notes));
-    localStorage.setItem('moods', JSON.stringify(moods));
-    updateFavoritesDisplay();
-    updateNotesDisplay();
-    updateMoodDisplay();
-    renderHymnsList(hymns, hymnsContainer);
-    showToast('All data reset');
+function onDetailSwipeEnd(e) {
+    const start = detailSwipe;
+    detailSwipe = null;
+    if (!start || e.touches.length || !e.changedTouches.length) return;
+    const dx = e.changedTouches[0].clientX - start.x;
+    const dy = e.changedTouches[0].clientY - start.y;
+    // clearly sideways; anything steeper is scrolling the lyrics
+    if (Math.abs(dx) > 60 && Math.abs(dx) > 2 * Math.abs(dy)) turnHymn(dx < 0 ? 1 : -1);
 }
 
 // ---------- Event Delegation for Hymn List ----------
@@ -523,143 +5096,577 @@ function onHymnContainerClick(e) {
         }
         if (action === 'play') {
             e.stopPropagation();
-            // open detail and play
-            openHymnDetail(id).then(() => {
-                // small delay to ensure audio src set
-                setTimeout(() => togglePlayback(), 120);
-            });
+            playHymnNow(id);
+            return;
+        }
+        if (action === 'play-next') {
+            e.stopPropagation();
+            playNextInQueue(id);
+            return;
+        }
+        if (action === 'queue') {
+            e.stopPropagation();
+            addToQueue(id);
+            return;
+        }
+        if (action === 'share') {
+            e.stopPropagation();
+            openShareDialog(hymnById(id));
             return;
         }
     }
 
     const card = e.target.closest('.hymn-card');
-    if (card) {
-        const id = card.dataset.id;
-        openHymnDetail(id);
+    if (card) navigate(hymnHash(card.dataset.id));
+}
+
+// ---------- Keyboard activation ----------
+// hymn cards and the bottom nav are divs; Enter or Space on one works like a click
+function onActivationKeydown(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    if (!(e.target instanceof Element) || !e.target.matches('.hymn-card, .nav-item')) return;
+    e.preventDefault();
+    e.target.click();
+}
+
+// ---------- Focus trap ----------
+// The detail view and the notes, import and print dialogs keep Tab inside while open;
+// the last one opened wins, and closing it returns focus to where it came from.
+const focusTraps = [];   // { container, returnTo }
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const focusableIn = (container) => [...container.querySelectorAll(FOCUSABLE)].filter(el => !el.closest('.hidden'));
+
+function trapFocus(container) {
+    if (focusTraps.some(trap => trap.container === container)) return;
+    focusTraps.push({ container, returnTo: document.activeElement });
+    container.focus();
+}
+
+function releaseFocus(container) {
+    const index = focusTraps.findIndex(trap => trap.container === container);
+    if (index === -1) return;
+    const [trap] = focusTraps.splice(index, 1);
+    if (index < focusTraps.length) {
+        // an overlay above is still open: it hands focus back to where this one came from
+        focusTraps[index].returnTo = trap.returnTo;
+    } else {
+        const target = returnTarget(trap.returnTo);
+        if (target) target.focus();
+    }
+}
+
+// virtual lists re-create cards, so a card that has gone is swapped for its replacement
+function returnTarget(el) {
+    if (!el || el.isConnected) return el;
+    if (el.matches('.hymn-card')) return document.querySelector(`.page.active .hymn-card[data-id="${el.dataset.id}"]`);
+    return null;
+}
+
+function onFocusTrapKeydown(e) {
+    const trap = focusTraps[focusTraps.length - 1];
+    if (e.key !== 'Tab' || !trap) return;
+    const items = focusableIn(trap.container);
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+    const inside = trap.container.contains(active) && active !== trap.container;
+    if (!items.length) e.preventDefault();
+    else if (!inside) {
+        e.preventDefault();
+        (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
     }
 }
 
 // ---------- Navigation (fast on mobile) ----------
-function switchPage(pageId, evt) {
-    pages.forEach(p => p.classList.remove('active'));
-    navItems.forEach(n => n.classList.remove('active'));
-    const page = document.getElementById(pageId);
-    if (page) page.classList.add('active');
-    if (evt && evt.currentTarget) evt.currentTarget.classList.add('active');
+const pageScroll = {};   // page id -> window scroll position when last shown
+
+function switchPage(pageId) {
+    const current = document.querySelector('.page.active');
+    const changed = !current || current.id !== pageId;
+    if (current && changed) pageScroll[current.id] = window.scrollY;
+    pages.forEach(p => p.classList.toggle('active', p.id === pageId));
+    navItems.forEach(n => {
+        n.classList.toggle('active', n.dataset.page === pageId);
+        if (n.dataset.page === pageId) n.setAttribute('aria-current', 'page');
+        else n.removeAttribute('aria-current');
+    });
+    if (changed) {
+        window.scrollTo(0, pageScroll[pageId] || 0);
+        // lists on a hidden page skip layout; lay out the one now showing
+        hymnLists.forEach(list => list.refresh());
+    }
 
     // update dynamic content for certain pages
     if (pageId === 'favorites-page') updateFavoritesDisplay();
     if (pageId === 'notes-page') updateNotesDisplay();
     if (pageId === 'mood-page') updateMoodDisplay();
+    if (pageId === 'topics-page') updateTopicsDisplay();
+    if (pageId === 'services-page') updateServicesDisplay();
+    if (pageId === 'stats-page') updateStatsDisplay();
+    if (pageId === 'settings-page') {
+        updateOfflineStatus();
+        fillMetadataForm();
+        updateHistoryStatus();
+    }
+}
+
+// ---------- Router ----------
+// App state lives in the URL hash so hymns can be bookmarked and shared and
+// Back behaves: #/, #/favorites, #/notes, #/mood/calm, #/services,
+// #/settings, #/search?q=grace, #/hymn/300 and #/hymn/300/notes, plus the
+// topical index: #/topics, #/topics/<topic>, #/scripture, #/scripture/<book>.
+// Mood filters list tags: #/mood/calm,happy (any of them), #/mood/calm+happy (all).
+// User actions call navigate(); applyRoute() turns the hash into UI state,
+// also on Back/Forward and hand-edited URLs.
+const PAGE_ROUTES = {
+    'home-page': '',
+    'favorites-page': 'favorites',
+    'notes-page': 'notes',
+    'mood-page': 'mood',
+    'topics-page': 'topics',
+    'services-page': 'services',
+    'stats-page': 'stats',
+    'settings-page': 'settings'
+};
+
+const hymnHash = (id) => `#/hymn/${Number(id)}`;
+const notesHash = (id) => `${hymnHash(id)}/notes`;
+const moodHash = (filter) => (filter.tags.length
+    ? `#/mood/${filter.tags.map(encodeURIComponent).join(filter.match === 'all' ? '+' : ',')}`
+    : '#/mood');
+const searchHash = (query) => (query ? `#/search?q=${encodeURIComponent(query)}` : '#/');
+
+// hash for a page, keeping its filter (mood) or search query
+function pageHash(pageId) {
+    if (pageId === 'mood-page') return moodHash(currentTagFilter);
+    if (pageId === 'home-page') return searchHash(searchInput.value.trim());
+    if (pageId === 'topics-page') return indexHash(topicIndexView.kind, topicIndexView.value);
+    return `#/${PAGE_ROUTES[pageId] || ''}`;
+}
+
+// { page, tagFilter, query, hymnId, notes, verse, index }; page is null for the hymn
+// overlay, which sits on top of whatever page was showing; verse is a shared line
+// range (see Share). A hymn link without a usable number is the home page.
+function parseRoute(hash = location.hash) {
+    const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+    const parts = path.split('/').filter(Boolean).map(part => {
+        try {
+            return decodeURIComponent(part);
+        } catch (err) {
+            return part;
+        }
+    });
+    const route = { page: 'home-page', tagFilter: parseTagFilter(''), query: '', hymnId: null, notes: false, verse: null, index: null };
+    const hymnId = parts[0] === 'hymn' ? Number(parts[1]) : NaN;
+    if (Number.isInteger(hymnId) && hymnId > 0) {
+        route.page = null;
+        route.hymnId = hymnId;
+        route.notes = parts[2] === 'notes';
+        route.verse = parseVerseParam(new URLSearchParams(queryString).get('v'));
+    } else if (parts[0] === 'hymn') {
+        // #/hymn/abc or #/hymn/: stay on home
+    } else if (parts[0] === 'search') {
+        route.query = (new URLSearchParams(queryString).get('q') || '').trim();
+    } else if (parts[0] === 'mood') {
+        route.page = 'mood-page';
+        route.tagFilter = parseTagFilter(parts[1]);
+    } else if (parts[0] === 'topics' || parts[0] === 'scripture') {
+        route.page = 'topics-page';
+        route.index = { kind: parts[0], value: parts[1] || null };
+    } else {
+        route.page = Object.keys(PAGE_ROUTES).find(id => PAGE_ROUTES[id] === (parts[0] || '')) || 'home-page';
+    }
+    return route;
+}
+
+const isOverlayRoute = (hash) => parseRoute(hash).hymnId !== null;
+
+// replace: rewrite the current entry instead of adding one (filters, typing)
+function navigate(hash, { replace = false } = {}) {
+    if (hash === location.hash || (hash === '#/' && !location.hash)) return;
+    // overlay entries we pushed ourselves can be closed with history.back()
+    const overlay = isOverlayRoute(hash) && (!replace || Boolean(history.state && history.state.overlay));
+    history[replace ? 'replaceState' : 'pushState']({ overlay }, '', hash);
+    applyRoute();
+}
+
+// close the detail view / notes modal: go back if we opened it, otherwise
+// replace the entry (e.g. the app was opened on a shared #/hymn link)
+function leaveOverlayRoute() {
+    if (history.state && history.state.overlay) {
+        history.back();
+        return;
+    }
+    const route = parseRoute();
+    const activePage = document.querySelector('.page.active');
+    const hash = route.notes ? hymnHash(route.hymnId) : pageHash(activePage ? activePage.id : 'home-page');
+    navigate(hash, { replace: true });
+}
+
+function setTagFilter(filter) {
+    if (moodHash(filter) === moodHash(currentTagFilter)) return;
+    currentTagFilter = filter;
+    renderTagFilter();
+    updateMoodDisplay();
+}
+
+let appliedSearchQuery = '';
+function applySearch(query) {
+    if (searchInput.value.trim() !== query) searchInput.value = query;
+    if (query === appliedSearchQuery) return;
+    appliedSearchQuery = query;
+    filterHymnsImmediate(query);
+    updateRecentStrip();
+    updateDailyVisibility();
+}
+
+function applyRoute() {
+    const route = parseRoute();
+    if (route.hymnId !== null) {
+        if (!hymnById(route.hymnId)) {
+            // unknown number, or hymns.json hasn't loaded the way this link expects
+            showToast(t('Hymn {number} not found', { number: route.hymnId }));
+            navigate('#/', { replace: true });
+            return;
+        }
+        if (route.verse) sharedVerse = { hymnId: route.hymnId, ...route.verse };
+        if (!currentHymn || currentHymn.id !== route.hymnId) openHymnDetail(route.hymnId);
+        else highlightSharedVerse();
+        if (route.notes) showNotesModal();
+        else hideNotesModal();
+        return;
+    }
+    hideNotesModal();
+    if (currentHymn || hymnDetail.classList.contains('active')) hideHymnDetail();
+    if (route.page === 'mood-page') setTagFilter(route.tagFilter);
+    if (route.page === 'home-page') applySearch(route.query);
+    if (route.page === 'topics-page') topicIndexView = route.index;
+    switchPage(route.page);
+}
+
+// typing searches in place; the first keystroke adds a history entry so Back clears the search
+function searchFromInput() {
+    const query = searchInput.value.trim();
+    navigate(searchHash(query), { replace: parseRoute().query !== '' || !query });
+}
+
+// ---------- Search Index ----------
+// Every lyrics file is fetched in the background after hymns.json loads, so
+// lyric searches don't depend on which hymns were opened this session.
+// Entries and ranking come from search.js.
+const searchIndex = new Map();       // hymn.id -> createSearchEntry()
+const SEARCH_INDEX_CONCURRENCY = 4;
+
+function indexHymn(hymn, model) {
+    // translations already loaded for the search languages count as lyrics too
+    const translations = searchLanguages()
+        .map(lang => translationCache.get(`${hymn.id}:${lang}`))
+        .filter(Boolean);
+    const entry = createSearchEntry({ title: hymn.title, model, meta: metadataText(hymn), translations });
+    searchIndex.set(hymn.id, entry);
+    return entry;
+}
+
+async function buildSearchIndex() {
+    // titles are searchable straight away; lyrics fill in as they arrive
+    hymns.forEach(h => { if (!searchIndex.has(h.id)) indexHymn(h, null); });
+    await forEachConcurrent(hymns, SEARCH_INDEX_CONCURRENCY, async (hymn) => {
+        await getParsedLyrics(hymn);
+        indexHymn(hymn, parsedLyricsCache.get(hymn.id) || null);
+    });
+    await indexTranslations();
+    refreshCardPreviews();
+    // re-run a search typed while the index was still building
+    if (searchInput && searchInput.value.trim()) filterHymnsImmediate(searchInput.value);
+}
+
+// back online: fetch the lyrics that failed, then redraw what showed the placeholder
+async function retryMissingLyrics() {
+    const pending = hymns.filter(hymn => missingLyrics.has(hymn.id));
+    if (!pending.length) return;
+    await forEachConcurrent(pending, SEARCH_INDEX_CONCURRENCY, getParsedLyrics);
+    if (currentHymn && pending.includes(currentHymn) && parsedLyricsCache.has(currentHymn.id)) refreshDetailLyrics();
+    if (appliedSearchQuery) filterHymnsImmediate(appliedSearchQuery);
+}
+
+// Returns [{ hymn, score, line, query }] sorted best first (see rankSearch)
+function searchHymns(query) {
+    return rankSearch(hymns, query, hymn => searchIndex.get(hymn.id) || indexHymn(hymn, null));
+}
+
+// escape a line and wrap the query words in <mark>, accents or not
+function highlightMatch(text, parsed) {
+    const words = parsed.phrases.concat(parsed.terms).flatMap(n => n.split(' '));
+    let html = '';
+    let pos = 0;
+    for (const [start, end] of findWordRanges(text, words)) {
+        html += `${escapeHtml(text.slice(pos, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        pos = end;
+    }
+    return html + escapeHtml(text.slice(pos));
 }
 
 // ---------- Search / Filter ----------
 function filterHymnsImmediate(query) {
-    const q = (query || '').toLowerCase().trim();
+    const q = (query || '').trim();
     if (!q) {
-        renderHymnsList(hymns, hymnsContainer);
+        renderHymnsList(recordedOnly ? hymns.filter(hasRecording) : hymns, hymnsContainer);
         return;
     }
-    const filtered = hymns.filter(hymn => {
-        const idStr = String(hymn.id);
-        if (idStr === q || idStr.padStart(3, '0') === q) return true;
-        if (hymn.title && hymn.title.toLowerCase().includes(q)) return true;
-        const lyricsText = (hymn.lyrics || lyricsCache.get(hymn.id) || '');
-        if (lyricsText && lyricsText.toLowerCase().includes(q)) return true;
-        return false;
-    });
-    renderHymnsList(filtered, hymnsContainer);
+    const results = searchHymns(q).filter(r => !recordedOnly || hasRecording(r.hymn));
+    const matches = new Map(results.map(r => [r.hymn.id, r]));
+    renderHymnsList(results.map(r => r.hymn), hymnsContainer, matches);
 }
-const debouncedFilter = debounce((e) => filterHymnsImmediate(e.target.value), 250);
+const debouncedFilter = debounce(searchFromInput, 250);
 
 // ---------- Wiring Events (only once) ----------
 function setupEventListeners() {
     // Hymn list delegation (works for all child lists too if you attach to each container)
-    if (hymnsContainer) {
-        hymnsContainer.addEventListener('click', onHymnContainerClick);
-        // also support touch taps for faster mobile response
-        hymnsContainer.addEventListener('click', onHymnContainerClick);
-    }
+    if (hymnsContainer) hymnsContainer.addEventListener('click', onHymnContainerClick);
     if (favoritesContainer) favoritesContainer.addEventListener('click', onHymnContainerClick);
-    if (notesContainer) notesContainer.addEventListener('click', onHymnContainerClick);
     if (moodContainer) moodContainer.addEventListener('click', onHymnContainerClick);
+    if (topicsContainer) topicsContainer.addEventListener('click', onHymnContainerClick);
+    // virtual lists follow the viewport
+    window.addEventListener('scroll', scheduleListRefresh, { passive: true });
+    window.addEventListener('resize', throttle(() => hymnLists.forEach(list => list.refresh({ remeasure: true })), 200));
+    window.addEventListener('online', retryMissingLyrics);
+    if (document.fonts) document.fonts.ready.then(() => hymnLists.forEach(list => list.refresh({ remeasure: true })));
 
     // Audio controls (single set of listeners)
     playBtn.addEventListener('click', togglePlayback);
-    miniPlayBtn.addEventListener('click', togglePlayback);
-    miniPlayerClose.addEventListener('click', () => {
-        miniPlayer.classList.add('hidden');
-        pauseAudio();
+    miniPlayBtn.addEventListener('click', () => {
+        if (isPlaying) pauseAudio();
+        else playAudio();
+    });
+    miniPrevBtn.addEventListener('click', prevTrack);
+    miniNextBtn.addEventListener('click', () => nextTrack());
+    miniRepeatBtn.addEventListener('click', cycleRepeatMode);
+    miniQueueBtn.addEventListener('click', () => queuePanel.classList.toggle('hidden'));
+    miniPlayerClose.addEventListener('click', () => stopPlayback());
+    queueList.addEventListener('click', onQueueClick);
+    miniSeek.addEventListener('input', () => {
+        if (audio.duration) audio.currentTime = (Number(miniSeek.value) / 1000) * audio.duration;
+    });
+    document.querySelectorAll('[data-play-list]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const list = btn.dataset.playList === 'favorites'
+                ? hymns.filter(h => favorites.includes(h.id))
+                : currentMoodList();
+            playList(list, { shuffle: btn.dataset.shuffle === 'true' });
+        });
     });
 
     // audio progress events
     audio.addEventListener('timeupdate', updateProgress);
+    audio.addEventListener('timeupdate', throttle(updateMediaPosition, 1000));
+    audio.addEventListener('timeupdate', syncCues);
+    audio.addEventListener('timeupdate', trackListening);
+    audio.addEventListener('timeupdate', enforceLoop);
+    audio.addEventListener('timeupdate', throttle(savePosition, 5000));
+    audio.addEventListener('pause', savePosition);
+    audio.addEventListener('loadedmetadata', () => {
+        miniDurationEl.textContent = formatTime(audio.duration);
+        if (isDetailPlaying()) durationEl.textContent = formatTime(audio.duration);
+        applyResume();
+        renderLoop();
+    });
     audio.addEventListener('ended', () => {
+        // a loop that runs to the very end starts over instead
+        if (loopActive()) {
+            audio.currentTime = practiceLoop.a;
+            playAudio();
+            return;
+        }
+        savePosition();
+        finishListening();
         isPlaying = false;
-        playBtn.innerHTML = '<i class="fas fa-play"></i>';
-        miniPlayBtn.innerHTML = '<i class="fas fa-play"></i>';
+        updatePlayButtons();
+        nextTrack(true);
     });
+    audio.addEventListener('error', onAudioError);
+    window.addEventListener('pagehide', finishListening);
+    window.addEventListener('pagehide', savePosition);
+    setupMediaSession();
 
     // progress seeking (support pointer/touch)
     progressContainer.addEventListener('pointerdown', setProgress);
     progressContainer.addEventListener('click', setProgress);
 
+    // practice mode
+    practiceBtn.addEventListener('click', togglePracticeMode);
+    document.getElementById('skip-back').addEventListener('click', () => skipBy(-SKIP_SECONDS));
+    document.getElementById('skip-forward').addEventListener('click', () => skipBy(SKIP_SECONDS));
+    playbackRateSelect.addEventListener('change', () => setPracticeSettings({ rate: Number(playbackRateSelect.value) }));
+    document.getElementById('loop-a-btn').addEventListener('click', () => setLoopPoint('a'));
+    document.getElementById('loop-b-btn').addEventListener('click', () => setLoopPoint('b'));
+    loopClearBtn.addEventListener('click', clearLoop);
+
     // hymn detail
     detailClose.addEventListener('click', closeHymnDetail);
+    detailPrevBtn.addEventListener('click', () => turnHymn(-1));
+    detailNextBtn.addEventListener('click', () => turnHymn(1));
+    lyricsContainer.addEventListener('touchstart', onDetailSwipeStart, { passive: true });
+    lyricsContainer.addEventListener('touchend', onDetailSwipeEnd);
+    lyricsContainer.addEventListener('touchcancel', () => { detailSwipe = null; });
     favoriteBtn.addEventListener('click', () => {
         if (currentHymn) toggleFavorite(currentHymn.id);
     });
     notesBtn.addEventListener('click', openNotesModal);
+    lyricsContainer.addEventListener('click', (e) => {
+        const noteEl = e.target.closest('.lyrics-note');
+        if (noteEl) openNotesModal(noteEl.dataset.noteId);
+    });
 
     // notes modal
     notesSave.addEventListener('click', saveNote);
-    notesCancel.addEventListener('click', closeNotesModal);
+    notesCancel.addEventListener('click', () => {
+        if (!editingNoteId) {
+            closeNotesModal();
+            return;
+        }
+        editingNoteId = null;
+        resetNoteComposer();
+    });
     notesClose.addEventListener('click', closeNotesModal);
+    notesUndo.addEventListener('click', undoNoteChange);
     notesModal.addEventListener('click', (e) => {
         if (e.target === notesModal) closeNotesModal();
     });
+    noteEntriesList.addEventListener('click', onNoteEntryClick);
+    noteFormatBar.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-format]');
+        if (btn) applyNoteFormat(btn.dataset.format);
+    });
+    notesTextarea.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'b') applyNoteFormat('bold');
+        else if (key === 'i') applyNoteFormat('italic');
+        else if (key === 'enter') saveNote();
+        else return;
+        e.preventDefault();
+    });
+
+    // notes page
+    notesSearch.addEventListener('input', debounce(() => {
+        notesQuery = notesSearch.value;
+        updateNotesDisplay();
+    }, 200));
+    notesList.addEventListener('click', (e) => {
+        const card = e.target.closest('.note-card');
+        if (!card) return;
+        editingNoteId = card.dataset.noteId;
+        navigate(notesHash(card.dataset.hymnId));
+    });
 
     // search
-    if (searchBtn) searchBtn.addEventListener('click', () => filterHymnsImmediate(searchInput.value));
+    if (searchBtn) searchBtn.addEventListener('click', searchFromInput);
     if (searchInput) searchInput.addEventListener('input', debouncedFilter);
-    searchInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') filterHymnsImmediate(e.target.value); });
+    searchInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') searchFromInput(); });
 
-    // theme toggle
-    themeToggle.addEventListener('click', () => {
-        document.body.classList.toggle('dark-mode');
-        const isDark = document.body.classList.contains('dark-mode');
-        localStorage.setItem('darkMode', isDark);
-        themeToggle.innerHTML = `<i class="fas fa-${isDark ? 'sun' : 'moon'}"></i>`;
+    // display: header theme toggle, Settings panel, pinch to resize the lyrics
+    themeToggle.addEventListener('click', toggleTheme);
+    displayThemeOptions.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-theme]');
+        if (btn) setDisplay({ theme: btn.dataset.theme });
     });
+    contrastInput.addEventListener('change', () => setDisplay({ contrast: contrastInput.checked }));
+    fontScaleInput.addEventListener('input', () => setDisplay({ fontScale: Number(fontScaleInput.value) }));
+    lineSpacingInput.addEventListener('input', () => setDisplay({ lineSpacing: Number(lineSpacingInput.value) }));
+    document.getElementById('display-reset').addEventListener('click', () => setDisplay(DISPLAY_DEFAULTS));
+    if (systemDark) systemDark.addEventListener('change', () => applyDisplay(display));
+    lyricsContainer.addEventListener('touchstart', onLyricsTouchStart, { passive: true });
+    lyricsContainer.addEventListener('touchmove', onLyricsTouchMove, { passive: false });
+    lyricsContainer.addEventListener('touchend', onLyricsTouchEnd);
+    lyricsContainer.addEventListener('touchcancel', onLyricsTouchEnd);
+    lyricsContainer.addEventListener('wheel', onLyricsWheel, { passive: false });
+
+    // languages: Settings and the bar above the lyrics share the "language" setting
+    uiLanguageSelect.addEventListener('change', () => setLanguage({ ui: uiLanguageSelect.value }));
+    lyricsLanguageSelect.addEventListener('change', () => setLanguage({ lyrics: lyricsLanguageSelect.value }));
+    parallelLanguageSelect.addEventListener('change', () => setLanguage({ parallel: parallelLanguageSelect.value }));
+    lyricsLangSelect.addEventListener('change', () => setLanguage({ lyrics: lyricsLangSelect.value }));
+    lyricsParallelSelect.addEventListener('change', () => setLanguage({ parallel: lyricsParallelSelect.value }));
+
+    // keyboard: Enter on cards and nav items, Tab kept inside open overlays
+    document.addEventListener('keydown', onActivationKeydown);
+    document.addEventListener('keydown', onFocusTrapKeydown);
+
+    // go to hymn: the number keypad and turning pages in the detail view
+    document.getElementById('keypad-toggle').addEventListener('click', () => openKeypad());
+    document.getElementById('keypad-close').addEventListener('click', closeKeypad);
+    document.getElementById('keypad-keys').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-key]');
+        if (btn) pressKeypadKey(btn.dataset.key);
+    });
+    keypadGo.addEventListener('click', openKeypadHymn);
+    keypadModal.addEventListener('click', (e) => {
+        if (e.target === keypadModal) closeKeypad();
+    });
+    document.addEventListener('keydown', onKeypadKeydown);
+    document.addEventListener('keydown', onPracticeKeydown);
+    document.addEventListener('keydown', onDetailNavKeydown);
 
     // navigation: use pointerdown for immediate mobile feedback
     navItems.forEach(item => {
-        item.addEventListener('pointerdown', (e) => {
-            const pageId = item.getAttribute('data-page');
-            switchPage(pageId, e);
-        });
-        // also keep click to support older browsers
-        item.addEventListener('click', (e) => {
-            const pageId = item.getAttribute('data-page');
-            switchPage(pageId, e);
-        });
+        item.addEventListener('pointerdown', () => navigate(pageHash(item.dataset.page)));
+        // also keep click to support older browsers (navigate ignores the repeat)
+        item.addEventListener('click', () => navigate(pageHash(item.dataset.page)));
     });
 
-    // mood options
-    moodOptions.forEach(option => {
-        option.addEventListener('click', (e) => {
-            const mood = option.dataset.mood;
-            if (hymnDetail.classList.contains('active') && currentHymn) {
-                setMood(mood, e);
-            } else {
-                currentMoodFilter = mood;
-                // update active UI
-                moodOptions.forEach(opt => opt.classList.remove('active'));
-                option.classList.add('active');
-                updateMoodDisplay();
-            }
-        });
+    // router: Back/Forward and edited URLs (both fire popstate; hashchange
+    // would follow it and apply the same route twice)
+    window.addEventListener('popstate', applyRoute);
+
+    // tags: mood page filter, detail view toggles, custom tags in Settings
+    tagFilterOptions.addEventListener('click', onTagFilterClick);
+    tagMatchToggle.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-match]');
+        if (btn) navigate(moodHash({ ...currentTagFilter, match: btn.dataset.match }), { replace: true });
+    });
+    detailTagOptions.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-tag]');
+        if (btn) toggleHymnTag(btn.dataset.tag);
+    });
+    document.querySelectorAll('.tag-create').forEach(form => form.addEventListener('submit', onTagFormSubmit));
+    customTagsList.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-tag-field]');
+        if (input) updateCustomTag(input.closest('[data-tag-id]').dataset.tagId, { [input.dataset.tagField]: input.value });
+    });
+    customTagsList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-tag-action="delete"]');
+        if (btn) deleteCustomTag(btn.closest('[data-tag-id]').dataset.tagId);
+    });
+
+    // listening history and statistics
+    statsRange.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-range]');
+        if (!btn) return;
+        statsView.days = Number(btn.dataset.range);
+        updateStatsDisplay();
     });
+    staleWeeksInput.addEventListener('change', () => {
+        statsView.staleWeeks = Math.max(1, Math.round(Number(staleWeeksInput.value)) || 1);
+        updateStatsDisplay();
+    });
+    staleNeverInput.addEventListener('change', () => {
+        statsView.includeNever = staleNeverInput.checked;
+        updateStatsDisplay();
+    });
+    statsPage.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-hymn-id]');
+        if (row) navigate(hymnHash(row.dataset.hymnId));
+    });
+    document.getElementById('open-stats').addEventListener('click', () => navigate('#/stats'));
+    document.getElementById('export-history').addEventListener('click', exportHistory);
+    document.getElementById('clear-history').addEventListener('click', clearHistory);
 
     // settings buttons (export/import/reset)
     const exportBtn = document.getElementById('export-data');
@@ -668,28 +5675,405 @@ function setupEventListeners() {
     if (exportBtn) exportBtn.addEventListener('click', exportData);
     if (importBtn) importBtn.addEventListener('click', importData);
     if (resetBtn) resetBtn.addEventListener('click', resetData);
+
+    // import preview dialog
+    document.getElementById('import-apply').addEventListener('click', confirmImport);
+    document.getElementById('import-cancel').addEventListener('click', closeImportPreview);
+    document.getElementById('import-close').addEventListener('click', closeImportPreview);
+    importModal.addEventListener('click', (e) => {
+        if (e.target === importModal) closeImportPreview();
+    });
+    importSummary.addEventListener('change', (e) => {
+        if (e.target.name !== 'import-mode') return;
+        const replace = e.target.value === 'replace';
+        document.getElementById('import-replace-warning').classList.toggle('hidden', !replace);
+        importSummary.querySelectorAll('.import-conflict select').forEach(sel => { sel.disabled = replace; });
+    });
+
+    // print dialog
+    document.getElementById('print-btn').addEventListener('click', () => {
+        if (currentHymn) openPrintDialog([{ hymn: currentHymn }], { fileName: `hymn-${currentHymn.id}` });
+    });
+    document.getElementById('print-close').addEventListener('click', closePrintDialog);
+    printModal.addEventListener('click', (e) => {
+        if (e.target === printModal) closePrintDialog();
+    });
+    printLayouts.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-layout]');
+        if (!btn || !PRINT_LAYOUTS.includes(btn.dataset.layout)) return;
+        printLayout = btn.dataset.layout;
+        renderPrintDialog();
+    });
+    printItemsList.addEventListener('change', onPrintItemsChange);
+    document.getElementById('print-now').addEventListener('click', printSheet);
+    document.getElementById('print-html').addEventListener('click', downloadPrintHtml);
+    document.getElementById('print-text').addEventListener('click', downloadPrintText);
+    window.addEventListener('afterprint', onAfterPrint);
+
+    // hymn of the day
+    dailyHistoryToggle.addEventListener('click', () => {
+        dailyHistoryOpen = !dailyHistoryOpen;
+        renderDailyHistory();
+    });
+    dailySourceSelect.addEventListener('change', () => setDailySource(dailySourceSelect.value));
+    dailyNotifyInput.addEventListener('change', () => setDailyNotify(dailyNotifyInput.checked));
+    dailyTimeInput.addEventListener('change', () => {
+        if (DAILY_TIME_RE.test(dailyTimeInput.value)) setDailySettings({ time: dailyTimeInput.value });
+    });
+    if ('serviceWorker' in navigator) navigator.serviceWorker.addEventListener('message', onServiceWorkerMessage);
+
+    // share dialog
+    document.getElementById('share-btn').addEventListener('click', () => openShareDialog(currentHymn));
+    document.getElementById('share-close').addEventListener('click', closeShareDialog);
+    shareModal.addEventListener('click', (e) => {
+        if (e.target === shareModal) closeShareDialog();
+    });
+    shareLinesEl.addEventListener('click', onShareLinesClick);
+    shareThemes.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-share-theme]');
+        if (!btn || !SHARE_THEMES[btn.dataset.shareTheme]) return;
+        shareJob.theme = btn.dataset.shareTheme;
+        updateShareSelection();
+    });
+    shareShareBtn.addEventListener('click', shareExcerpt);
+    document.getElementById('share-link').addEventListener('click', copyShareLink);
+    shareImageBtn.addEventListener('click', shareVerseImage);
+
+    // hymn metadata editor
+    document.getElementById('metadata-hymn').addEventListener('input', fillMetadataForm);
+    document.getElementById('metadata-save').addEventListener('click', saveMetadataForm);
+    document.getElementById('metadata-revert').addEventListener('click', revertMetadata);
+    document.getElementById('metadata-download').addEventListener('click', downloadMetadataOverlay);
+
+    // offline data
+    const downloadLyricsBtn = document.getElementById('download-lyrics');
+    const clearOfflineBtn = document.getElementById('clear-offline');
+    if (downloadLyricsBtn) downloadLyricsBtn.addEventListener('click', downloadAllLyrics);
+    if (clearOfflineBtn) clearOfflineBtn.addEventListener('click', clearOfflineData);
+    if (offlineAudioBtn) offlineAudioBtn.addEventListener('click', toggleOfflineAudio);
+
+    // recordings: the home list filter and the user's own files
+    recordedFilterBtn.addEventListener('click', () => setRecordedOnly(!recordedOnly));
+    userRecordingAddBtn.addEventListener('click', pickUserRecording);
+    userRecordingRemoveBtn.addEventListener('click', removeUserRecording);
+
+    // services
+    if (addToServiceBtn) addToServiceBtn.addEventListener('click', () => {
+        if (currentHymn) addHymnToService(currentHymn.id);
+    });
+    if (servicesPage) {
+        servicesPage.addEventListener('click', onServicesPageClick);
+        servicesPage.addEventListener('change', onServicesPageChange);
+        servicesPage.addEventListener('pointerdown', onServiceDragStart);
+        servicesPage.addEventListener('pointermove', onServiceDragMove);
+        servicesPage.addEventListener('pointerup', onServiceDragEnd);
+        servicesPage.addEventListener('pointercancel', onServiceDragEnd);
+    }
+    const serviceCreateBtn = document.getElementById('service-create');
+    if (serviceCreateBtn) serviceCreateBtn.addEventListener('click', () => {
+        const nameInput = document.getElementById('service-name');
+        const dateInput = document.getElementById('service-date');
+        const service = createService(nameInput.value, dateInput.value);
+        nameInput.value = '';
+        currentServiceId = service.id;
+        updateServicesDisplay();
+    });
+
+    // presentation mode
+    if (presentBtn) presentBtn.addEventListener('click', () => {
+        if (currentHymn) openPresentation([{ hymn: currentHymn }]);
+    });
+    document.getElementById('presentation-prev').addEventListener('click', () => showSlide(presentationIndex - 1));
+    document.getElementById('presentation-next').addEventListener('click', () => showSlide(presentationIndex + 1));
+    document.getElementById('presentation-presenter').addEventListener('click', openPresenterView);
+    document.getElementById('presentation-close').addEventListener('click', closePresentation);
+    presentation.addEventListener('pointerdown', onPresentationPointerDown);
+    presentation.addEventListener('pointerup', onPresentationPointerUp);
+    document.addEventListener('keydown', onPresentationKeydown);
+
+    // pitch pipe and metronome
+    pitchPipeBtn.addEventListener('click', togglePitchPipe);
+    pitchNotes.addEventListener('click', onPitchNotesClick);
+    pitchNoteBtn.addEventListener('click', playStartingNote);
+    pitchChordBtn.addEventListener('click', playKeyChord);
+    document.getElementById('count-in-btn').addEventListener('click', countIn);
+    metronomeToggle.addEventListener('click', toggleMetronome);
+    metronomeTempo.addEventListener('input', () => {
+        metronomeView.tempo = Number(metronomeTempo.value);
+        metronomeTempoValue.textContent = metronomeView.tempo;
+        if (metronome) metronome.interval = 60 / metronomeView.tempo;
+    });
+    metronomeTempo.addEventListener('change', () => setMetronome({ tempo: Number(metronomeTempo.value) }));
+    metronomeTime.addEventListener('change', () => setMetronome({ timeSignature: metronomeTime.value }));
+    metronomeCountIn.addEventListener('change', () => setMetronome({ countIn: Number(metronomeCountIn.value) }));
+
+    // timed cues: tap-along recording
+    document.getElementById('record-cues-btn').addEventListener('click', startCueRecording);
+    document.getElementById('cue-tap').addEventListener('click', tapCue);
+    document.getElementById('cue-undo').addEventListener('click', undoCue);
+    document.getElementById('cue-export-lrc').addEventListener('click', () => exportCues('lrc'));
+    document.getElementById('cue-export-vtt').addEventListener('click', () => exportCues('vtt'));
+    document.getElementById('cue-stop').addEventListener('click', stopCueRecording);
+    document.addEventListener('keydown', onCueRecorderKeydown);
+    document.addEventListener('fullscreenchange', () => {
+        // leaving fullscreen (Esc in most browsers) ends the presentation too
+        if (!document.fullscreenElement) closePresentation();
+    });
+    if (presentationChannel) presentationChannel.addEventListener('message', onPresentationMessage);
 }
 
-// ---------- Theme on load ----------
-function applyStoredTheme() {
-    const isDark = localStorage.getItem('darkMode') === 'true';
-    if (isDark) {
-        document.body.classList.add('dark-mode');
-        themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
-    } else {
-        themeToggle.innerHTML = '<i class="fas fa-moon"></i>';
+// ---------- Display ----------
+// Saved as "display": theme is 'light', 'dark' or 'system' (follows
+// prefers-color-scheme), contrast picks the high-contrast palette, and
+// fontScale / lineSpacing size the lyrics through CSS variables.
+const DISPLAY_DEFAULTS = { theme: 'system', contrast: false, fontScale: 1, lineSpacing: 1.6 };
+const DISPLAY_THEMES = ['light', 'dark', 'system'];
+const FONT_SCALE_RANGE = [0.8, 2.5];
+const LINE_SPACING_RANGE = [1.2, 2.4];
+const systemDark = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+let display = { ...DISPLAY_DEFAULTS };
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+function normalizeDisplay(value) {
+    const out = { ...DISPLAY_DEFAULTS };
+    if (!isPlainObject(value)) return out;
+    if (DISPLAY_THEMES.includes(value.theme)) out.theme = value.theme;
+    out.contrast = value.contrast === true;
+    if (Number.isFinite(value.fontScale)) out.fontScale = Math.round(clamp(value.fontScale, FONT_SCALE_RANGE) * 100) / 100;
+    if (Number.isFinite(value.lineSpacing)) out.lineSpacing = Math.round(clamp(value.lineSpacing, LINE_SPACING_RANGE) * 10) / 10;
+    return out;
+}
+
+const isDarkTheme = () => display.theme === 'dark' || (display.theme === 'system' && Boolean(systemDark && systemDark.matches));
+
+function applyDisplay(value) {
+    display = normalizeDisplay(value);
+    const isDark = isDarkTheme();
+    document.body.classList.toggle('dark-mode', isDark);
+    document.body.classList.toggle('high-contrast', display.contrast);
+    setLyricsScale(display.fontScale);
+    document.body.style.setProperty('--lyrics-line-height', display.lineSpacing);
+    const label = t(isDark ? 'Switch to light theme' : 'Switch to dark theme');
+    themeToggle.innerHTML = `<i class="fas fa-${isDark ? 'sun' : 'moon'}"></i>`;
+    themeToggle.title = label;
+    themeToggle.setAttribute('aria-label', label);
+    updateDisplaySettings();
+}
+
+const setLyricsScale = (scale) => document.body.style.setProperty('--lyrics-scale', scale);
+
+function setDisplay(changes) {
+    storage.set('display', normalizeDisplay({ ...display, ...changes }));
+}
+
+// the header button shows the other theme, which stops following the system
+function toggleTheme() {
+    setDisplay({ theme: isDarkTheme() ? 'light' : 'dark' });
+}
+
+function updateDisplaySettings() {
+    displayThemeOptions.querySelectorAll('[data-theme]').forEach(btn => {
+        const active = btn.dataset.theme === display.theme;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
+    contrastInput.checked = display.contrast;
+    fontScaleInput.value = display.fontScale;
+    fontScaleValue.textContent = `${Math.round(display.fontScale * 100)}%`;
+    lineSpacingInput.value = display.lineSpacing;
+    lineSpacingValue.textContent = display.lineSpacing.toFixed(1);
+}
+
+// two-finger pinch on the lyrics resizes them live and saves on release
+let pinch = null;   // { distance, from, scale }
+
+const touchDistance = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+function onLyricsTouchStart(e) {
+    if (e.touches.length !== 2) return;
+    pinch = { distance: touchDistance(e.touches) || 1, from: display.fontScale, scale: display.fontScale };
+}
+
+function onLyricsTouchMove(e) {
+    if (!pinch || e.touches.length !== 2) return;
+    e.preventDefault(); // resize the lyrics, not the page
+    pinch.scale = clamp(pinch.from * touchDistance(e.touches) / pinch.distance, FONT_SCALE_RANGE);
+    setLyricsScale(pinch.scale);
+}
+
+function onLyricsTouchEnd(e) {
+    if (!pinch || e.touches.length >= 2) return;
+    const { scale, from } = pinch;
+    pinch = null;
+    if (scale !== from) setDisplay({ fontScale: scale });
+}
+
+// trackpad pinches arrive as ctrl+wheel
+function onLyricsWheel(e) {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    setDisplay({ fontScale: display.fontScale * Math.exp(-e.deltaY / 200) });
+}
+
+// ---------- Storage subscriptions ----------
+// ids whose entry differs between two lists / id-keyed objects
+const changedIds = (previous, value) => {
+    if (Array.isArray(value)) {
+        const before = previous || [];
+        return before.filter(id => !value.includes(id)).concat(value.filter(id => !before.includes(id)));
     }
+    const keys = new Set(Object.keys(previous || {}).concat(Object.keys(value)));
+    return [...keys].filter(id => (previous || {})[id] !== value[id]).map(Number);
+};
+
+function subscribeToStorage() {
+    storage.subscribe('favorites', (value, previous) => {
+        favorites = value;
+        updateFavoritesDisplay();
+        updateDetailFavoriteBtn();
+        changedIds(previous, value).forEach(updateHymnCard);
+        renderDailySettings();
+    });
+    storage.subscribe('notes', (value, previous) => {
+        notes = value;
+        updateNotesDisplay();
+        const changed = changedIds(previous, value);
+        changed.forEach(updateHymnCard);
+        if (currentHymn && changed.includes(currentHymn.id)) {
+            renderLyricsNotes();
+            updateNotesButton();
+            if (notesModal.classList.contains('active')) updateNotesModal();
+        }
+    });
+    storage.subscribe('moods', (value, previous) => {
+        moods = value;
+        updateMoodDisplay();
+        updateDetailTags();
+        renderCustomTagsSettings();
+        changedIds(previous, value).forEach(updateHymnCard);
+        renderDailySettings();
+    });
+    storage.subscribe('history', (value) => {
+        listeningHistory = value;
+        updateRecentStrip();
+        if (statsPage.classList.contains('active')) updateStatsDisplay();
+        updateHistoryStatus();
+    });
+    storage.subscribe('customTags', (value, previous, source) => {
+        customTags = value;
+        renderTagFilter();
+        updateDetailTags();
+        // keep focus in the Settings list while renaming; it only needs redrawing when tags come or go
+        if (source === 'remote' || value.length !== previous.length) renderCustomTagsSettings();
+        updateMoodDisplay();
+        hymnLists.forEach(list => list.refresh({ remeasure: true }));
+        renderDailySettings();
+    });
+    storage.subscribe('services', (value, previous, source) => {
+        services = value;
+        // local edits re-render themselves; re-rendering here would steal focus from the editor
+        if (source === 'remote') {
+            if (!findService(currentServiceId)) currentServiceId = null;
+            updateServicesDisplay();
+        }
+    });
+    storage.subscribe('display', applyDisplay);
+    storage.subscribe('practice', (value) => {
+        practiceSettings = normalizePractice(value);
+        applyPlaybackRate();
+        renderPractice();
+    });
+    storage.subscribe('positions', (value) => {
+        playbackPositions = value;
+    });
+    storage.subscribe('daily', (value, previous, source) => {
+        dailySettings = normalizeDaily(value);
+        renderDailySettings();
+        if (source === 'remote') renderDailyHymn();
+    });
+    storage.subscribe('dailyHistory', (value, previous, source) => {
+        dailyHistory = value;
+        if (source === 'remote') renderDailyHymn();
+    });
+    storage.subscribe('metronome', (value) => {
+        metronomeSettings = normalizeMetronome(value);
+    });
+    storage.subscribe('audioChecks', (value) => {
+        audioChecks = value;
+        applyAudioAvailability();
+    });
+    storage.subscribe('language', async (value) => {
+        const before = language;
+        language = normalizeLanguage(value);
+        if (language.ui !== before.ui) await applyLocale(language.ui);
+        updateLanguageSettings();
+        if (language.lyrics !== before.lyrics || language.parallel !== before.parallel) {
+            refreshDetailLyrics();
+            await indexTranslations();
+            filterHymnsImmediate(appliedSearchQuery);
+        }
+    });
+    storage.subscribe('metadata', (value, previous) => {
+        metadataOverlay = value;
+        applyMetadata();
+        for (const id of changedIds(previous, value)) {
+            const hymn = hymnById(id);
+            if (!hymn) continue;
+            if (searchIndex.has(id)) indexHymn(hymn, parsedLyricsCache.get(id) || null);
+            updateHymnCard(id);
+        }
+        if (currentHymn) {
+            renderHymnMeta(currentHymn);
+            renderPitchPipe();
+        }
+        if (topicsPage.classList.contains('active')) updateTopicsDisplay();
+    });
 }
 
 // ---------- Init ----------
-function initApp() {
+async function initApp() {
     setupEventListeners();
-    applyStoredTheme();
-    loadHymns();
+    await storage.init();
+    favorites = storage.get('favorites');
+    notes = storage.get('notes');
+    moods = storage.get('moods');
+    customTags = storage.get('customTags');
+    services = storage.get('services');
+    listeningHistory = storage.get('history');
+    metadataOverlay = storage.get('metadata');
+    audioChecks = storage.get('audioChecks');
+    metronomeSettings = normalizeMetronome(storage.get('metronome'));
+    practiceSettings = normalizePractice(storage.get('practice'));
+    playbackPositions = storage.get('positions');
+    applyPlaybackRate();
+    dailySettings = normalizeDaily(storage.get('daily'));
+    dailyHistory = storage.get('dailyHistory');
+    language = normalizeLanguage(storage.get('language'));
+    await loadLocale(language.ui);
+    translatePage();
+    subscribeToStorage();
+    applyDisplay(storage.get('display'));
+    registerServiceWorker();
+    await loadUserRecordings();
+    await loadHymns();
+    checkAudioAvailability();
+    updateLanguageSettings();
     // Keep favorites/notes/moods displays ready
     updateFavoritesDisplay();
     updateNotesDisplay();
+    renderTagFilter();
     updateMoodDisplay();
+    renderCustomTagsSettings();
+    updateServicesDisplay();
+    updateRecentStrip();
+    renderDailySettings();
+    recordDailyPick();
+    renderDailyHymn();
+    scheduleDailyTimer();
+    if (dailySettings.notify) syncDailyReminders();
+    // restore the state in the URL (bookmarks, shared links, reloads)
+    applyRoute();
 }
 
 // call init once DOM is ready
@@ -0,0 +1,148 @@
+/*
+  Hymn Haven search
+  Index entries and ranking for the lyrics search. script.js decides what to
+  index (lyrics, translations, metadata), keeps the index and renders the
+  results.
+*/
+
+// ---------- Search ----------
+// lowercase, fold accents and curly quotes, and drop punctuation so that
+// "o’er" matches "o'er" and "grace, how" matches "grace how"
+function normalizeForSearch(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f\u00ad]/g, '')
+        .toLowerCase()
+        .replace(/[’‘`´]/g, "'")
+        .replace(/[^\p{L}\p{N}']+/gu, ' ')
+        .trim();
+}
+
+// one hymn's searchable text: its title, parsed lyrics (or null while they
+// load), metadata text and any parsed translations, whose titles count too
+function createSearchEntry({ title, model = null, meta = '', translations = [] }) {
+    const entry = {
+        title: normalizeForSearch(title),
+        firstLine: '',
+        body: '',
+        meta: normalizeForSearch(meta),
+        metaText: meta,
+        lines: []
+    };
+    const addLines = (blocks) => {
+        for (const block of blocks) {
+            for (const line of block.lines) entry.lines.push({ text: line, norm: normalizeForSearch(line) });
+        }
+    };
+    if (model) {
+        addLines(model.blocks);
+        const first = model.stanzas[0] || model.blocks[0];
+        entry.firstLine = first && first.lines.length ? normalizeForSearch(first.lines[0]) : '';
+    }
+    for (const translation of translations) {
+        if (translation.header) entry.title += ` ${normalizeForSearch(translation.header.title)}`;
+        addLines(translation.blocks);
+    }
+    entry.body = entry.lines.map(l => l.norm).join(' ');
+    return entry;
+}
+
+// split a query into quoted phrases and loose words
+function parseSearchQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/["“”]([^"“”]+)["“”]/g, (_, phrase) => {
+        const norm = normalizeForSearch(phrase);
+        if (norm) phrases.push(norm);
+        return ' ';
+    });
+    const terms = normalizeForSearch(rest).split(' ').filter(Boolean);
+    return { phrases, terms, full: normalizeForSearch(query) };
+}
+
+// words match on prefixes so results appear while the last word is typed
+const containsWords = (field, words) => words.every(w => ` ${field}`.includes(` ${w}`));
+
+// Title matches rank above first-line matches, which rank above metadata and
+// then body matches. entryFor(hymn) returns the hymn's createSearchEntry().
+// Returns [{ hymn, score, line, query }] sorted best first.
+function rankSearch(hymns, query, entryFor) {
+    const parsed = parseSearchQuery(query);
+    const needles = parsed.phrases.concat(parsed.terms);
+    if (!needles.length) return [];
+    const numberQuery = /^\d+$/.test(parsed.full) ? Number(parsed.full) : null;
+
+    const results = [];
+    for (const hymn of hymns) {
+        const entry = entryFor(hymn);
+        let score = 0;
+        if (numberQuery !== null && hymn.id === numberQuery) score = 1000;
+        else if (containsWords(entry.title, needles)) score = 300;
+        else if (containsWords(entry.firstLine, needles)) score = 200;
+        else if (containsWords(entry.meta, needles)) score = 150;
+        else if (containsWords(`${entry.title} ${entry.body}`, needles)) score = 100;
+        if (!score) continue;
+
+        let line = null;
+        if (score === 150) line = entry.metaText;
+        else if (score < 300) line = findMatchingLine(entry, parsed);
+        // the whole query as one phrase beats the same words scattered around
+        if (parsed.full.includes(' ') && ` ${entry.title} ${entry.body}`.includes(` ${parsed.full}`)) score += 50;
+        results.push({ hymn, score, line, query: parsed });
+    }
+    return results.sort((a, b) => b.score - a.score || a.hymn.id - b.hymn.id);
+}
+
+// the lyric line to show on the card: the full query, a phrase, or any word
+function findMatchingLine(entry, parsed) {
+    const candidates = [parsed.full].concat(parsed.phrases, parsed.terms);
+    for (const needle of candidates) {
+        const found = entry.lines.find(l => ` ${l.norm}`.includes(` ${needle}`));
+        if (found) return found.text;
+    }
+    return null;
+}
+
+// [start, end) ranges of `text` where any of `words` (normalized) occurs,
+// merged and in order. Text is folded one character at a time the way
+// normalizeForSearch() folds it, so "jesus" finds "Jésus" and the ranges
+// still point into the original text.
+function findWordRanges(text, words) {
+    text = String(text || '');
+    let folded = '';
+    const starts = [];   // folded index -> where its character starts in text
+    const ends = [];     // ...and ends, taking in accents that fold away after it
+    let i = 0;
+    for (const ch of text) {
+        const f = ch.normalize('NFD')
+            .replace(/[\u0300-\u036f\u00ad]/g, '')
+            .toLowerCase()
+            .replace(/[’‘`´]/g, "'");
+        for (let k = 0; k < f.length; k++) {
+            starts.push(i);
+            ends.push(i + ch.length);
+        }
+        if (!f && ends.length) ends[ends.length - 1] = i + ch.length;
+        folded += f;
+        i += ch.length;
+    }
+    const ranges = [];
+    for (const word of words) {
+        if (!word) continue;
+        for (let at = folded.indexOf(word); at !== -1; at = folded.indexOf(word, at + 1)) {
+            ranges.push([starts[at], ends[at + word.length - 1]]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range);
+    }
+    return merged;
+}
+
+// Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeForSearch, createSearchEntry, parseSearchQuery, containsWords, rankSearch, findMatchingLine, findWordRanges };
+}
@@ -0,0 +1,213 @@
+/*
+  Hymn Haven storage
+  A versioned key/value store: IndexedDB (localStorage when IndexedDB is
+  unavailable) with an in-memory copy for synchronous reads and change
+  notifications across tabs. script.js supplies the keys, their validators and
+  the migrations. Browser APIs are feature-checked, so tools/storage.test.js
+  loads this file under Node with a stub localStorage.
+*/
+
+// ---------- Storage ----------
+const isPlainObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+const isListMap = (v) => isPlainObject(v) && Object.values(v).every(Array.isArray);
+
+// run the migrations from `version` up to `target`; each is keyed by the
+// version it upgrades from and gets and returns a plain { key: value } object
+function migrateData(data, version, target, migrations) {
+    let migrated = data;
+    for (let v = version; v < target; v++) {
+        if (migrations[v]) migrated = migrations[v](migrated);
+    }
+    return migrated;
+}
+
+// options:
+//   version      the current schema version
+//   keys         { key: { fallback(), valid(value) } } for every saved key
+//   retiredKeys  keys older versions saved, still read so migrations can carry them over
+//   migrations   { fromVersion: (data) => data }
+//   onSaveError  (key, err) when a write fails
+// Returns { init, get, set, subscribe }; init() must finish before get().
+function createStorage({ name = 'hymn-haven', version, keys, retiredKeys = [], migrations = {}, onSaveError = () => {} }) {
+    const STORE = 'kv';
+    const VERSION_KEY = 'schemaVersion';
+    const values = {};
+    const listeners = {};
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${name}-storage`) : null;
+    let db = null;
+
+    const openDatabase = () => new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const req = indexedDB.open(name, 1);
+        req.onupgradeneeded = () => {
+            if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('IndexedDB blocked'));
+    });
+
+    const readAll = () => new Promise((resolve, reject) => {
+        const out = {};
+        const req = db.transaction(STORE, 'readonly').objectStore(STORE).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) {
+                resolve(out);
+                return;
+            }
+            out[cursor.key] = cursor.value;
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+
+    const writeAll = (entries) => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        for (const [key, value] of Object.entries(entries)) store.put(value, key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+
+    // schema v1: one JSON string per key in localStorage
+    function readLocalStorage() {
+        const data = {};
+        const unreadable = {};
+        for (const key of Object.keys(keys).concat(retiredKeys)) {
+            const raw = localStorage.getItem(key);
+            if (raw === null) continue;
+            try {
+                data[key] = JSON.parse(raw);
+            } catch (err) {
+                console.warn(`Saved "${key}" was unreadable and has been reset`);
+                unreadable[`corrupt:${key}`] = raw;
+            }
+        }
+        const stored = Number(localStorage.getItem(VERSION_KEY));
+        return { data, unreadable, version: stored || 1 };
+    }
+
+    // keep valid values, set aside anything else under "corrupt:<key>"
+    function accept(data) {
+        const backups = {};
+        for (const [key, spec] of Object.entries(keys)) {
+            const value = data[key];
+            if (value === undefined) {
+                values[key] = spec.fallback();
+            } else if (spec.valid(value)) {
+                values[key] = value;
+            } else {
+                console.warn(`Saved "${key}" was unreadable and has been reset`, value);
+                backups[`corrupt:${key}`] = value;
+                values[key] = spec.fallback();
+            }
+        }
+        return backups;
+    }
+
+    function emit(key, value, previous, source) {
+        (listeners[key] || []).forEach(fn => {
+            try {
+                fn(value, previous, source);
+            } catch (err) {
+                console.error(`Storage listener for "${key}" failed`, err);
+            }
+        });
+    }
+
+    async function init() {
+        try {
+            db = await openDatabase();
+            const stored = await readAll();
+            let from = Number(stored[VERSION_KEY]) || 0;
+            let data = stored;
+            let unreadable = {};
+            if (!from) {
+                // first run on IndexedDB: bring over what localStorage had
+                ({ data, unreadable, version: from } = readLocalStorage());
+            }
+            const backups = { ...unreadable, ...accept(migrateData(data, from, version, migrations)) };
+            await writeAll({ ...values, ...backups, [VERSION_KEY]: version });
+            if (!stored[VERSION_KEY]) Object.keys(keys).concat(retiredKeys).forEach(key => localStorage.removeItem(key));
+        } catch (err) {
+            console.warn('IndexedDB unavailable — saving to localStorage instead', err);
+            db = null;
+            const legacy = readLocalStorage();
+            const backups = { ...legacy.unreadable, ...accept(migrateData(legacy.data, legacy.version, version, migrations)) };
+            for (const [key, value] of Object.entries(backups)) localStorage.setItem(key, JSON.stringify(value));
+            for (const key of Object.keys(keys)) localStorage.setItem(key, JSON.stringify(values[key]));
+            retiredKeys.forEach(key => localStorage.removeItem(key));
+            localStorage.setItem(VERSION_KEY, String(version));
+        }
+
+        if (channel) {
+            channel.addEventListener('message', (e) => {
+                const { key, value } = e.data || {};
+                if (!keys[key] || !keys[key].valid(value)) return;
+                const previous = values[key];
+                values[key] = value;
+                emit(key, value, previous, 'remote');
+            });
+        }
+        if (!db && !channel && typeof addEventListener === 'function') {
+            // localStorage fallback: other tabs announce writes with the `storage` event
+            addEventListener('storage', (e) => {
+                if (!keys[e.key] || e.newValue === null) return;
+                try {
+                    const value = JSON.parse(e.newValue);
+                    if (!keys[e.key].valid(value)) return;
+                    const previous = values[e.key];
+                    values[e.key] = value;
+                    emit(e.key, value, previous, 'remote');
+                } catch (err) {
+                    // another tab wrote something unreadable; ignore it
+                }
+            });
+        }
+    }
+
+    const get = (key) => values[key];
+
+    function set(key, value) {
+        const spec = keys[key];
+        if (!spec || !spec.valid(value)) {
+            console.error(`Refusing to save invalid "${key}"`, value);
+            return;
+        }
+        const previous = values[key];
+        values[key] = value;
+        if (db) {
+            writeAll({ [key]: value }).catch(err => {
+                console.error(`Could not save "${key}"`, err);
+                onSaveError(key, err);
+            });
+        } else {
+            try {
+                localStorage.setItem(key, JSON.stringify(value));
+            } catch (err) {
+                console.error(`Could not save "${key}"`, err);
+                onSaveError(key, err);
+            }
+        }
+        if (channel) channel.postMessage({ key, value });
+        emit(key, value, previous, 'local');
+    }
+
+    // fn(value, previous, source) where source is 'local' or 'remote' (another tab)
+    function subscribe(key, fn) {
+        (listeners[key] = listeners[key] || []).push(fn);
+        return () => { listeners[key] = listeners[key].filter(l => l !== fn); };
+    }
+
+    return { init, get, set, subscribe };
+}
+
+// Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { isPlainObject, isListMap, migrateData, createStorage };
+}
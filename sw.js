@@ -0,0 +1,267 @@
+/*
+  Hymn Haven service worker
+  - Precache the app shell, hymns.json and every lyrics file (translations too)
+  - hymns.json (and the optional hymns.overlay.json and audio.json): network first, cached copy when offline
+  - Lyrics: cache first (filled as they are fetched)
+  - Audio: only served from cache when the user downloaded it (Settings/detail view),
+    with Range support so <audio> can seek within cached files
+  - Hymn of the day reminders: the app sends the coming week of them; they are shown
+    with timestamp triggers where supported, else when the worker wakes near the time
+  Cache names are shared with the offline section of script.js.
+*/
+
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `hymn-haven-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'hymn-haven-data-v1';
+const AUDIO_CACHE = 'hymn-haven-audio-v1';
+const REMINDERS_CACHE = 'hymn-haven-reminders-v1';
+const REMINDERS_KEY = 'daily-reminders.json';
+const HYMNS_JSON = 'data/hymns.json';
+const AUDIO_MANIFEST = 'data/audio.json';
+const ICON_STYLESHEET = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'lyrics.js',
+    'storage.js',
+    'search.js',
+    'cues.js',
+    'script.js',
+    'presenter.html',
+    'presenter.js',
+    'manifest.webmanifest',
+    'locales/fr.json',
+    'locales/es.json',
+    'icons/icon.svg'
+];
+
+// ---------- Install: shell + hymnal ----------
+async function precacheHymnal() {
+    const cache = await caches.open(DATA_CACHE);
+    const res = await fetch(HYMNS_JSON, { cache: 'no-cache' });
+    if (!res.ok) return;
+    await cache.put(HYMNS_JSON, res.clone());
+    // which recordings exist; optional, so a missing manifest is fine
+    await fetch(AUDIO_MANIFEST, { cache: 'no-cache' })
+        .then(r => (r.ok ? cache.put(AUDIO_MANIFEST, r) : null))
+        .catch(() => {});
+    const hymns = await res.json();
+    const files = (Array.isArray(hymns) ? hymns : [])
+        .flatMap(h => [h.lyricsFile].concat(Object.values(h.lyricsFiles || {})))
+        .filter(file => typeof file === 'string' && file);
+    // one missing file must not fail the whole install, so no cache.addAll here
+    const queue = files.slice();
+    const worker = async () => {
+        while (queue.length) {
+            const file = queue.shift();
+            try {
+                if (await cache.match(file)) continue;
+                const r = await fetch(file);
+                if (r.ok) await cache.put(file, r);
+            } catch (err) {
+                // offline during install — the fetch handler fills the gap later
+            }
+        }
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        // the icons come from a CDN; if it's unreachable the app still installs
+        // and the fetch handler caches them on first use
+        await fetch(ICON_STYLESHEET)
+            .then(r => (r.ok ? shell.put(ICON_STYLESHEET, r) : null))
+            .catch(() => {});
+        await precacheHymnal().catch(err => console.warn('Hymnal precache incomplete', err));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE, AUDIO_CACHE, REMINDERS_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(n => n.startsWith('hymn-haven-') && !keep.includes(n))
+            .map(n => caches.delete(n)));
+        await self.clients.claim();
+    })());
+});
+
+// ---------- Strategies ----------
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(request);
+        if (res.ok) cache.put(request, res.clone());
+        return res;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(res => {
+            if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+            return res;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
+
+// Answer a Range request from a full cached response (what <audio> asks for)
+async function rangeResponse(request, cached) {
+    const range = request.headers.get('range');
+    if (!range) return cached;
+    const blob = await cached.blob();
+    const m = /bytes=(\d*)-(\d*)/.exec(range);
+    if (!m) return cached;
+    const start = m[1] ? Number(m[1]) : Math.max(0, blob.size - Number(m[2]));
+    const end = (m[1] && m[2]) ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+    if (start >= blob.size) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+async function audioFromCache(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url, { ignoreSearch: true });
+    if (cached) return rangeResponse(request, cached);
+    return fetch(request);
+}
+
+// ---------- Fetch routing ----------
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (url.hostname === 'cdnjs.cloudflare.com') {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        }
+        return;
+    }
+
+    const path = url.pathname;
+    if (path.endsWith('/data/hymns.json') || path.endsWith('/data/hymns.overlay.json') || path.endsWith('/data/audio.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (path.includes('/data/hymns/')) {
+        event.respondWith(cacheFirst(request, DATA_CACHE));
+    } else if (path.includes('/audio/')) {
+        event.respondWith(audioFromCache(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// ---------- Hymn of the day reminders ----------
+// The worker has no storage of its own besides caches, so the reminder list
+// lives there as a small JSON response: { reminders, shown }.
+const REMINDER_WINDOW = 12 * 60 * 60 * 1000; // a reminder missed by longer is dropped
+const canTrigger = () => typeof Notification !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+async function readReminders() {
+    const cache = await caches.open(REMINDERS_CACHE);
+    const res = await cache.match(REMINDERS_KEY);
+    const state = res ? await res.json().catch(() => null) : null;
+    return { reminders: [], shown: [], ...(state || {}) };
+}
+
+async function writeReminders(state) {
+    const cache = await caches.open(REMINDERS_CACHE);
+    await cache.put(REMINDERS_KEY, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+const reminderOptions = (reminder) => ({
+    body: reminder.body,
+    tag: `daily-hymn-${reminder.date}`,
+    icon: 'icons/icon.svg',
+    data: { hymnId: reminder.hymnId, url: `./#/hymn/${reminder.hymnId}` }
+});
+
+async function showDueReminders() {
+    const state = await readReminders();
+    const now = Date.now();
+    const due = state.reminders.filter(r => r.at <= now && now < r.at + REMINDER_WINDOW && !state.shown.includes(r.date));
+    for (const reminder of due) {
+        await self.registration.showNotification(reminder.title, reminderOptions(reminder));
+        state.shown.push(reminder.date);
+    }
+    state.shown = state.shown.slice(-14);
+    if (due.length) await writeReminders(state);
+}
+
+// replace the pending reminders with a new list (an empty one cancels them)
+async function scheduleReminders(reminders) {
+    const state = await readReminders();
+    state.reminders = Array.isArray(reminders) ? reminders : [];
+    if (canTrigger()) {
+        const pending = await self.registration.getNotifications({ includeTriggered: true });
+        pending.filter(n => n.tag.startsWith('daily-hymn-') && n.timestamp > Date.now()).forEach(n => n.close());
+        for (const reminder of state.reminders) {
+            await self.registration.showNotification(reminder.title, {
+                ...reminderOptions(reminder),
+                timestamp: reminder.at,
+                showTrigger: new TimestampTrigger(reminder.at)
+            });
+        }
+    }
+    await writeReminders(state);
+    if (!canTrigger()) await showDueReminders();
+}
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'daily-reminders') event.waitUntil(scheduleReminders(data.reminders));
+    else if (data.type === 'daily-check' && !canTrigger()) event.waitUntil(showDueReminders());
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'daily-hymn' && !canTrigger()) event.waitUntil(showDueReminders());
+});
+
+// open the hymn, in the app window when one is already open
+self.addEventListener('notificationclick', (event) => {
+    const { hymnId, url } = event.notification.data || {};
+    event.notification.close();
+    if (!hymnId) return;
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length) {
+            const client = windows[0];
+            client.postMessage({ type: 'open-hymn', hymnId });
+            return client.focus();
+        }
+        return self.clients.openWindow(url);
+    })());
+});
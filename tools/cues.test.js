@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/*
+  Tests for cues.js. No dependencies: run with `node tools/cues.test.js`.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLyrics, sungOrder, sungBlockKeys } = require('../lyrics.js');
+const {
+    CUE_LABEL_RE, parseCueTime, parseLrc, parseVtt, parseCues, alignCues, cueAt,
+    formatLrcTime, formatVttTime, formatLrc, formatVtt
+} = require('../cues.js');
+
+// ---------- Fixtures ----------
+const HYMN = `2 – Blessed Assurance
+
+1
+Blessed assurance, Jesus is mine!
+O what a foretaste of glory divine!
+
+Refrain
+This is my story, this is my song,
+
+2
+Perfect submission, perfect delight,
+Visions of rapture now burst on my sight;
+`;
+
+const model = parseLyrics(HYMN);
+const order = sungOrder(model);
+const keys = sungBlockKeys(model, order);
+
+// ---------- parseCueTime ----------
+test('parseCueTime reads mm:ss, fractions and hours', () => {
+    assert.equal(parseCueTime('01:05'), 65);
+    assert.equal(parseCueTime('00:12.50'), 12.5);
+    assert.equal(parseCueTime('01:00:02,250'), 3602.25);
+    assert.equal(parseCueTime(' 2:03 '), 123);
+});
+
+test('parseCueTime rejects anything else', () => {
+    assert.equal(parseCueTime('12'), null);
+    assert.equal(parseCueTime('ab:cd'), null);
+    assert.equal(parseCueTime(''), null);
+});
+
+// ---------- parseLrc ----------
+test('parseLrc reads stamps, shared stamps and skips metadata tags', () => {
+    const cues = parseLrc('[ti:Blessed Assurance]\n[00:10.00]Blessed assurance\r\n[00:40.00][00:05.00]Refrain\n\nno stamp\n');
+    assert.deepEqual(cues, [
+        { time: 5, text: 'Refrain' },
+        { time: 10, text: 'Blessed assurance' },
+        { time: 40, text: 'Refrain' }
+    ]);
+});
+
+test('parseLrc applies [offset:ms], never before zero', () => {
+    const cues = parseLrc('[offset:+1500]\n[00:01.00]a\n[00:10.00]b\n');
+    assert.deepEqual(cues.map(c => c.time), [0, 8.5]);
+    assert.deepEqual(parseLrc('[offset:-500]\n[00:01.00]a\n').map(c => c.time), [1.5]);
+});
+
+// ---------- parseVtt ----------
+test('parseVtt reads start and end times and strips cue markup', () => {
+    const cues = parseVtt('WEBVTT\n\n1\n00:00:02.000 --> 00:00:04.500 align:start\n<i>Blessed</i>\nassurance\n\nNOTE a comment\n\n00:00:06.000 --> 00:00:08.000\nRefrain\n');
+    assert.deepEqual(cues, [
+        { time: 2, end: 4.5, text: 'Blessed assurance' },
+        { time: 6, end: 8, text: 'Refrain' }
+    ]);
+});
+
+test('parseCues picks the format from the header or file name', () => {
+    assert.equal(parseCues('WEBVTT\n\n00:01.000 --> 00:02.000\nx\n')[0].end, 2);
+    assert.equal(parseCues('\uFEFFWEBVTT\n\n00:01.000 --> 00:02.000\nx\n')[0].end, 2);
+    assert.equal(parseCues('00:01.000 --> 00:02.000\nx\n', 'audio/hymn2.vtt')[0].end, 2);
+    assert.deepEqual(parseCues('[00:01.00]x\n', 'audio/hymn2.lrc'), [{ time: 1, text: 'x' }]);
+});
+
+// ---------- alignCues ----------
+test('CUE_LABEL_RE knows stanza and refrain labels', () => {
+    for (const label of ['2', '2.', 'Stanza 2', 'verse 2', 'Refrain', 'Chorus:']) assert.match(label, CUE_LABEL_RE);
+    assert.doesNotMatch('Blessed assurance', CUE_LABEL_RE);
+});
+
+test('line cues walk the sung order, refrain repeats included', () => {
+    const cues = [0, 1, 2, 3, 4, 5, 6].map(time => ({ time, text: `line ${time}` }));
+    assert.deepEqual(alignCues(cues, order, keys).map(c => `${c.key}:${c.line}`),
+        ['s0:0', 's0:1', 'r0:0', 's1:0', 's1:1', 'r1:0']);
+});
+
+test('block labels jump ahead and the next line cues fall inside that block', () => {
+    const cues = parseLrc('[00:01.00]1\n[00:02.00]a\n[00:20.00]2\n[00:21.00]b\n[00:22.00]c\n[00:30.00]Refrain\n[00:40.00]1\n');
+    assert.deepEqual(alignCues(cues, order, keys).map(c => `${c.time}:${c.key}:${c.line}`),
+        ['1:s0:null', '2:s0:0', '20:s1:null', '21:s1:0', '22:s1:1', '30:r1:null']);
+});
+
+// ---------- cueAt ----------
+test('cueAt finds the cue sounding, and none in a VTT gap', () => {
+    const cues = [{ time: 2, end: 4 }, { time: 6 }];
+    assert.equal(cueAt(cues, 1), null);
+    assert.equal(cueAt(cues, 3), cues[0]);
+    assert.equal(cueAt(cues, 5), null);
+    assert.equal(cueAt(cues, 100), cues[1]);
+});
+
+// ---------- export ----------
+test('times format as LRC and WebVTT stamps', () => {
+    assert.equal(formatLrcTime(65.5), '01:05.50');
+    assert.equal(formatVttTime(3602.25), '01:00:02.250');
+});
+
+test('exported LRC and WebVTT read back as the same cues', () => {
+    const cues = [{ time: 1.5, text: '1' }, { time: 12.25, text: 'Blessed assurance' }, { time: 30, text: 'Refrain' }];
+    const lrc = formatLrc(cues, 'Blessed Assurance');
+    assert.match(lrc, /^\[ti:Blessed Assurance\]\n\[00:01\.50\]1\n/);
+    assert.deepEqual(parseCues(lrc, 'x.lrc'), cues);
+
+    const vtt = formatVtt(cues, 'Blessed Assurance', 42);
+    assert.match(vtt, /^WEBVTT - Blessed Assurance\n\n00:00:01\.500 --> 00:00:12\.250\n1\n/);
+    assert.deepEqual(parseCues(vtt), [
+        { time: 1.5, end: 12.25, text: '1' },
+        { time: 12.25, end: 30, text: 'Blessed assurance' },
+        { time: 30, end: 42, text: 'Refrain' }
+    ]);
+    assert.match(formatVtt(cues.slice(0, 1), 'x'), /00:00:01\.500 --> 00:00:06\.500/);
+});
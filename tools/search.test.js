@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/*
+  Tests for search.js. No dependencies: run with `node tools/search.test.js`.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLyrics } = require('../lyrics.js');
+const {
+    normalizeForSearch, createSearchEntry, parseSearchQuery, containsWords, rankSearch, findMatchingLine,
+    findWordRanges
+} = require('../search.js');
+
+// ---------- Fixtures ----------
+const HYMNS = [
+    { id: 1, title: 'Amazing Grace' },
+    { id: 2, title: 'Grace Greater Than Our Sin' },
+    { id: 3, title: 'Holy, Holy, Holy' },
+    { id: 4, title: 'Morning Has Broken' },
+    { id: 5, title: 'Jésus, Joie des Hommes' },
+    { id: 12, title: 'Be Thou My Vision' }
+];
+
+const LYRICS = {
+    1: '1 – Amazing Grace\n\n1\nAmazing grace! how sweet the sound\nThat saved a wretch like me!\n',
+    3: '3 – Holy, Holy, Holy\n\n1\nHoly, holy, holy! Lord God Almighty!\nEarly in the morning our song shall rise to Thee;\n',
+    4: '4 – Morning Has Broken\n\n1\nMorning has broken like the first morning,\nBlackbird has spoken like the first bird.\n',
+    12: '12 – Be Thou My Vision\n\n1\nBe Thou my Vision, O Lord of my heart;\nNaught be all else to me, save that Thou art.\n\n2\nRiches I heed not, nor man’s empty praise,\nThou mine inheritance, now and always:\n'
+};
+
+const META = { 2: 'Julia H. Johnston, 1911 · Grace', 12: 'Irish, 8th century · Slane' };
+
+const entries = new Map(HYMNS.map(hymn => [hymn.id, createSearchEntry({
+    title: hymn.title,
+    model: LYRICS[hymn.id] ? parseLyrics(LYRICS[hymn.id]) : null,
+    meta: META[hymn.id] || ''
+})]));
+const search = (query) => rankSearch(HYMNS, query, hymn => entries.get(hymn.id));
+const ids = (results) => results.map(r => r.hymn.id);
+
+// ---------- normalizeForSearch ----------
+test('normalizeForSearch folds case, accents, curly quotes and punctuation', () => {
+    assert.equal(normalizeForSearch('Jésus, Joie des Hommes!'), 'jesus joie des hommes');
+    assert.equal(normalizeForSearch('O’er the hills'), "o'er the hills");
+    assert.equal(normalizeForSearch('  grace,   how  '), 'grace how');
+    assert.equal(normalizeForSearch(null), '');
+});
+
+// ---------- parseSearchQuery / containsWords ----------
+test('parseSearchQuery separates quoted phrases from loose words', () => {
+    assert.deepEqual(parseSearchQuery('“sweet the sound” Amazing'), {
+        phrases: ['sweet the sound'],
+        terms: ['amazing'],
+        full: 'sweet the sound amazing'
+    });
+    assert.deepEqual(parseSearchQuery('   ').terms, []);
+});
+
+test('containsWords matches every word as a word prefix', () => {
+    assert.equal(containsWords('amazing grace', ['gra', 'ama']), true);
+    assert.equal(containsWords('amazing grace', ['race']), false);
+    assert.equal(containsWords('amazing grace', ['grace', 'love']), false);
+});
+
+// ---------- createSearchEntry ----------
+test('createSearchEntry indexes the first line, every line and translation titles', () => {
+    const entry = createSearchEntry({
+        title: 'Holy, Holy, Holy',
+        model: parseLyrics(LYRICS[3]),
+        translations: [parseLyrics('3 – Saint, Saint, Saint\n\n1\nSaint, saint, saint, Seigneur Dieu des armées\n')]
+    });
+    assert.equal(entry.title, 'holy holy holy saint saint saint');
+    assert.equal(entry.firstLine, 'holy holy holy lord god almighty');
+    assert.equal(entry.lines.length, 3);
+    assert.match(entry.body, /seigneur dieu/);
+});
+
+test('an entry without lyrics yet only matches on its title and metadata', () => {
+    const entry = createSearchEntry({ title: 'Grace Greater Than Our Sin', meta: 'Johnston' });
+    assert.deepEqual([entry.firstLine, entry.body, entry.lines], ['', '', []]);
+    assert.equal(entry.meta, 'johnston');
+});
+
+// ---------- rankSearch ----------
+test('title matches rank above first-line, metadata and body matches', () => {
+    const results = search('grace');
+    assert.deepEqual(ids(results), [1, 2]);
+    assert.deepEqual(results.map(r => r.score), [300, 300]);
+
+    // "morning": title of 4, a body line of 3
+    assert.deepEqual(search('morning').map(r => [r.hymn.id, r.score]), [[4, 300], [3, 100]]);
+    // "like": first line of 4 beats a later line of 1
+    assert.deepEqual(search('like').map(r => [r.hymn.id, r.score]), [[4, 200], [1, 100]]);
+    // "slane": tune name in the metadata
+    assert.deepEqual(search('slane').map(r => [r.hymn.id, r.score, r.line]), [[12, 150, META[12]]]);
+});
+
+test('a hymn number jumps to that hymn first', () => {
+    assert.deepEqual(search('12').map(r => [r.hymn.id, r.score]), [[12, 1000]]);
+});
+
+test('the whole query as a phrase outranks the same words scattered', () => {
+    const results = search('first morning');
+    assert.deepEqual(results.map(r => [r.hymn.id, r.score]), [[4, 250]]);
+    assert.equal(results[0].line, 'Morning has broken like the first morning,');
+    assert.equal(search('morning first')[0].score, 200);
+});
+
+test('accents and quotes do not stop a match', () => {
+    assert.deepEqual(ids(search('jesus')), [5]);
+    assert.deepEqual(ids(search("man's empty")), [12]);
+});
+
+test('an empty query finds nothing', () => {
+    assert.deepEqual(search(''), []);
+    assert.deepEqual(search('!!'), []);
+});
+
+// ---------- findMatchingLine ----------
+test('findMatchingLine prefers the full query, then phrases, then words', () => {
+    const entry = entries.get(12);
+    assert.equal(findMatchingLine(entry, parseSearchQuery('empty praise')), 'Riches I heed not, nor man’s empty praise,');
+    assert.equal(findMatchingLine(entry, parseSearchQuery('"my heart" always')), 'Be Thou my Vision, O Lord of my heart;');
+    assert.equal(findMatchingLine(entry, parseSearchQuery('zzz')), null);
+});
+
+// ---------- findWordRanges ----------
+const marked = (text, words) => {
+    let out = '';
+    let pos = 0;
+    for (const [start, end] of findWordRanges(text, words)) {
+        out += `${text.slice(pos, start)}[${text.slice(start, end)}]`;
+        pos = end;
+    }
+    return out + text.slice(pos);
+};
+
+test('findWordRanges finds folded words in the original text', () => {
+    assert.equal(marked('Jésus, joie des hommes', ['jesus', 'joie']), '[Jésus], [joie] des hommes');
+    assert.equal(marked('JE\u0301SUS que\u0301 e\u0301', ['jesus', 'que']), '[JE\u0301SUS] [que\u0301] e\u0301');
+    assert.equal(marked('nor man’s empty praise', ["man's"]), 'nor [man’s] empty praise');
+    assert.equal(marked('Grace, grace, God’s grace', ['grace']), '[Grace], [grace], God’s [grace]');
+});
+
+test('findWordRanges merges overlapping matches and ignores empty words', () => {
+    assert.deepEqual(findWordRanges('amazing grace', ['amaz', 'mazing', '']), [[0, 7]]);
+    assert.deepEqual(findWordRanges('amazing grace', []), []);
+    assert.deepEqual(findWordRanges('🎵 Noël', ['noel']), [[3, 7]]);
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/*
+  Tests for storage.js. No dependencies: run with `node tools/storage.test.js`.
+
+  Node has no IndexedDB, so these run the localStorage fallback against an
+  in-memory stand-in. BroadcastChannel is swapped for a fake one that only
+  talks to other stores in this process.
+*/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPlainObject, isListMap, migrateData, createStorage } = require('../storage.js');
+
+// ---------- Browser stand-ins ----------
+class MemoryStorage {
+    constructor(entries = {}) { this.map = new Map(Object.entries(entries)); }
+    getItem(key) { return this.map.has(key) ? this.map.get(key) : null; }
+    setItem(key, value) { this.map.set(key, String(value)); }
+    removeItem(key) { this.map.delete(key); }
+}
+
+class FakeChannel {
+    constructor(name) {
+        this.name = name;
+        this.listeners = [];
+        FakeChannel.open.push(this);
+    }
+    addEventListener(type, fn) { this.listeners.push(fn); }
+    postMessage(data) {
+        FakeChannel.open
+            .filter(other => other !== this && other.name === this.name)
+            .forEach(other => other.listeners.forEach(fn => fn({ data })));
+    }
+}
+FakeChannel.open = [];
+
+beforeEach((t) => {
+    globalThis.localStorage = new MemoryStorage();
+    globalThis.BroadcastChannel = undefined;
+    FakeChannel.open = [];
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+const KEYS = {
+    favorites: { fallback: () => [], valid: Array.isArray },
+    notes: { fallback: () => ({}), valid: isPlainObject }
+};
+
+// ---------- Helpers ----------
+test('isPlainObject and isListMap', () => {
+    assert.equal(isPlainObject({}), true);
+    assert.equal(isPlainObject([]), false);
+    assert.equal(isPlainObject(null), false);
+    assert.equal(isListMap({ a: [1], b: [] }), true);
+    assert.equal(isListMap({ a: 'x' }), false);
+});
+
+// ---------- migrateData ----------
+test('migrateData runs each step from the stored version up to the target, in order', () => {
+    const seen = [];
+    const migrations = {
+        1: (data) => { seen.push(1); return { ...data, a: 1 }; },
+        2: (data) => { seen.push(2); return { ...data, b: data.a + 1 }; },
+        4: (data) => { seen.push(4); return data; }
+    };
+    assert.deepEqual(migrateData({}, 1, 4, migrations), { a: 1, b: 2 });
+    assert.deepEqual(seen, [1, 2]);
+});
+
+test('migrateData leaves current data alone', () => {
+    const data = { a: 1 };
+    assert.equal(migrateData(data, 3, 3, { 3: () => ({}) }), data);
+});
+
+// ---------- createStorage ----------
+test('a first run fills in the fallbacks and records the schema version', async () => {
+    const storage = createStorage({ version: 2, keys: KEYS });
+    await storage.init();
+    assert.deepEqual(storage.get('favorites'), []);
+    assert.deepEqual(storage.get('notes'), {});
+    assert.equal(localStorage.getItem('schemaVersion'), '2');
+    assert.equal(localStorage.getItem('favorites'), '[]');
+});
+
+test('saved data is migrated and retired keys are dropped', async () => {
+    globalThis.localStorage = new MemoryStorage({
+        favorites: '[3,1]',
+        darkMode: 'true'
+    });
+    const storage = createStorage({
+        version: 3,
+        keys: { ...KEYS, display: { fallback: () => ({ theme: 'light' }), valid: isPlainObject } },
+        retiredKeys: ['darkMode'],
+        migrations: {
+            2: ({ darkMode, ...rest }) => ({ ...rest, display: { theme: darkMode ? 'dark' : 'light' } })
+        }
+    });
+    await storage.init();
+    assert.deepEqual(storage.get('favorites'), [3, 1]);
+    assert.deepEqual(storage.get('display'), { theme: 'dark' });
+    assert.equal(localStorage.getItem('darkMode'), null);
+    assert.equal(localStorage.getItem('schemaVersion'), '3');
+});
+
+test('unreadable or invalid values are reset and kept under corrupt:<key>', async () => {
+    globalThis.localStorage = new MemoryStorage({
+        schemaVersion: '2',
+        favorites: '{ not json',
+        notes: '[1,2]'
+    });
+    const storage = createStorage({ version: 2, keys: KEYS });
+    await storage.init();
+    assert.deepEqual(storage.get('favorites'), []);
+    assert.deepEqual(storage.get('notes'), {});
+    assert.equal(JSON.parse(localStorage.getItem('corrupt:favorites')), '{ not json');
+    assert.deepEqual(JSON.parse(localStorage.getItem('corrupt:notes')), [1, 2]);
+});
+
+test('set saves valid values, refuses invalid ones and notifies subscribers', async () => {
+    const storage = createStorage({ version: 1, keys: KEYS });
+    await storage.init();
+    const calls = [];
+    const unsubscribe = storage.subscribe('favorites', (...args) => calls.push(args));
+
+    storage.set('favorites', [7]);
+    assert.deepEqual(storage.get('favorites'), [7]);
+    assert.equal(localStorage.getItem('favorites'), '[7]');
+    assert.deepEqual(calls, [[[7], [], 'local']]);
+
+    storage.set('favorites', 'nope');
+    storage.set('unknown', []);
+    assert.deepEqual(storage.get('favorites'), [7]);
+    assert.equal(calls.length, 1);
+
+    unsubscribe();
+    storage.set('favorites', []);
+    assert.equal(calls.length, 1);
+});
+
+test('a failed write is reported through onSaveError', async () => {
+    const failures = [];
+    const storage = createStorage({ version: 1, keys: KEYS, onSaveError: (key) => failures.push(key) });
+    await storage.init();
+    localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+    storage.set('favorites', [1]);
+    assert.deepEqual(failures, ['favorites']);
+    assert.deepEqual(storage.get('favorites'), [1]);
+});
+
+test('a write in one tab reaches the others as a remote change', async () => {
+    globalThis.BroadcastChannel = FakeChannel;
+    const first = createStorage({ version: 1, keys: KEYS });
+    const second = createStorage({ version: 1, keys: KEYS });
+    await first.init();
+    await second.init();
+    const calls = [];
+    second.subscribe('favorites', (...args) => calls.push(args));
+
+    first.set('favorites', [12]);
+    assert.deepEqual(second.get('favorites'), [12]);
+    assert.deepEqual(calls, [[[12], [], 'remote']]);
+});
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/*
+  Hymn Haven data validator
+  Checks that data/hymns.json, the lyrics files in data/hymns/ (translations in
+  data/hymns/<lang>/, listed per hymn in lyricsFiles) and the files they
+  reference agree, using the same parser as the app (lyrics.js). When
+  data/audio.json (the list of shipped recordings) exists, it is checked
+  against audio/ too.
+
+  Usage:
+    node tools/validate-data.js            human-readable summary
+    node tools/validate-data.js --json     JSON report on stdout
+    node tools/validate-data.js --out report.json
+    node tools/validate-data.js --strict   warnings fail the run too
+    node tools/validate-data.test.js       tests for this tool and lyrics.js
+
+  Exit code: 0 when clean, 1 when any error (or, with --strict, any warning)
+  was found, 2 when hymns.json itself can't be read.
+
+  Every issue is { severity, code, hymnId?, file?, message }. Codes:
+    errors    invalid-entry, duplicate-id, missing-lyrics-file, header-number-mismatch,
+              missing-header, stanza-sequence, empty-stanza, empty-refrain, no-stanzas,
+              dangling-cues, invalid-overlay, invalid-translation, invalid-audio-manifest,
+              dangling-audio-manifest, empty-audio-file
+    warnings  orphan-lyrics-file, header-title-mismatch, unnumbered-text, no-lyrics,
+              dangling-audio, overlay-unknown-id, unlisted-audio
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { parseLyrics } = require('../lyrics.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const HYMNS_JSON = 'data/hymns.json';
+const LYRICS_DIR = 'data/hymns';
+const OVERLAY_FILE = 'data/hymns.overlay.json';
+const AUDIO_MANIFEST = 'data/audio.json';
+// same rule as LANG_CODE_RE in script.js
+const LANG_CODE_RE = /^[a-z]{2,3}(-[a-z0-9]+)?$/;
+
+const ERROR_CODES = new Set([
+    'invalid-entry', 'duplicate-id', 'missing-lyrics-file', 'header-number-mismatch',
+    'missing-header', 'stanza-sequence', 'empty-stanza', 'empty-refrain', 'no-stanzas',
+    'dangling-cues', 'invalid-overlay', 'invalid-translation', 'invalid-audio-manifest',
+    'dangling-audio-manifest', 'empty-audio-file'
+]);
+
+const exists = (file) => fs.existsSync(path.join(ROOT, file));
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+const isEmpty = (file) => fs.statSync(path.join(ROOT, file)).size === 0;
+
+// titles compare by their words only: case and punctuation don't count
+const normalizeTitle = (title) => String(title)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+function validate() {
+    const issues = [];
+    const report = (code, message, extra = {}) => {
+        issues.push({ severity: ERROR_CODES.has(code) ? 'error' : 'warning', code, ...extra, message });
+    };
+
+    const hymns = JSON.parse(read(HYMNS_JSON));
+    if (!Array.isArray(hymns)) throw new Error(`${HYMNS_JSON} is not an array`);
+
+    const seenIds = new Map();   // id -> index of first entry
+    const referenced = new Set();
+    hymns.forEach((hymn, index) => {
+        if (!hymn || !Number.isInteger(hymn.id) || hymn.id < 1 || typeof hymn.title !== 'string' || !hymn.title.trim()) {
+            report('invalid-entry', `Entry #${index} needs a positive integer id and a title`, { index });
+            return;
+        }
+        const hymnId = hymn.id;
+        if (seenIds.has(hymnId)) {
+            report('duplicate-id', `Hymn ${hymnId} is listed twice (entries #${seenIds.get(hymnId)} and #${index})`, { hymnId });
+        } else {
+            seenIds.set(hymnId, index);
+        }
+
+        if (hymn.audio && !exists(hymn.audio)) {
+            report('dangling-audio', `Audio file ${hymn.audio} does not exist`, { hymnId, file: hymn.audio });
+        }
+        if (hymn.cues && !exists(hymn.cues)) {
+            report('dangling-cues', `Cue file ${hymn.cues} does not exist`, { hymnId, file: hymn.cues });
+        }
+
+        // parse one lyrics file; translations keep the number but not the title
+        const checkLyricsFile = (file, translated) => {
+            referenced.add(path.normalize(file));
+            if (!exists(file)) {
+                report('missing-lyrics-file', `Lyrics file ${file} does not exist`, { hymnId, file });
+                return;
+            }
+            const model = parseLyrics(read(file));
+            for (const { code, message } of model.issues) report(code, message, { hymnId, file });
+            if (!model.header) return;
+            if (model.header.number !== hymnId) {
+                report('header-number-mismatch', `Header says ${model.header.number}, hymns.json says ${hymnId}`, { hymnId, file });
+            }
+            if (!translated && normalizeTitle(model.header.title) !== normalizeTitle(hymn.title)) {
+                report('header-title-mismatch', `Header title "${model.header.title}" differs from "${hymn.title}"`, { hymnId, file });
+            }
+        };
+
+        if (hymn.lyricsFiles !== undefined) {
+            if (!hymn.lyricsFiles || typeof hymn.lyricsFiles !== 'object' || Array.isArray(hymn.lyricsFiles)) {
+                report('invalid-translation', 'lyricsFiles must be an object keyed by language code', { hymnId });
+            } else {
+                for (const [lang, file] of Object.entries(hymn.lyricsFiles)) {
+                    if (!LANG_CODE_RE.test(lang) || typeof file !== 'string' || !file) {
+                        report('invalid-translation', `lyricsFiles.${lang} needs a lowercase language code and a file path`, { hymnId });
+                    } else {
+                        checkLyricsFile(file, true);
+                    }
+                }
+            }
+        }
+
+        if (!hymn.lyricsFile) {
+            if (!hymn.lyrics) report('no-lyrics', `Hymn ${hymnId} has neither lyricsFile nor lyrics`, { hymnId });
+            return;
+        }
+        checkLyricsFile(hymn.lyricsFile, false);
+    });
+
+    // data/hymns/*.txt plus the translations in data/hymns/<lang>/*.txt
+    const lyricsFiles = [];
+    for (const entry of fs.readdirSync(path.join(ROOT, LYRICS_DIR), { withFileTypes: true })) {
+        if (entry.isFile() && entry.name.endsWith('.txt')) lyricsFiles.push(`${LYRICS_DIR}/${entry.name}`);
+        if (entry.isDirectory() && LANG_CODE_RE.test(entry.name)) {
+            fs.readdirSync(path.join(ROOT, LYRICS_DIR, entry.name))
+                .filter(name => name.endsWith('.txt'))
+                .forEach(name => lyricsFiles.push(`${LYRICS_DIR}/${entry.name}/${name}`));
+        }
+    }
+    lyricsFiles.sort();
+    for (const file of lyricsFiles) {
+        if (!referenced.has(path.normalize(file))) {
+            report('orphan-lyrics-file', `${file} is not referenced by any hymn`, { file });
+        }
+    }
+
+    if (exists(OVERLAY_FILE)) {
+        try {
+            const overlay = JSON.parse(read(OVERLAY_FILE));
+            if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) throw new Error('expected an object keyed by hymn id');
+            for (const id of Object.keys(overlay)) {
+                if (!seenIds.has(Number(id))) {
+                    report('overlay-unknown-id', `Overlay entry ${id} matches no hymn`, { hymnId: Number(id), file: OVERLAY_FILE });
+                }
+            }
+        } catch (err) {
+            report('invalid-overlay', `${OVERLAY_FILE} can't be read: ${err.message}`, { file: OVERLAY_FILE });
+        }
+    }
+
+    // the app trusts the manifest over probing, so it must match what is shipped
+    if (exists(AUDIO_MANIFEST)) {
+        let listed = null;
+        try {
+            listed = JSON.parse(read(AUDIO_MANIFEST));
+            if (!Array.isArray(listed) || !listed.every(file => typeof file === 'string')) throw new Error('expected an array of file paths');
+        } catch (err) {
+            report('invalid-audio-manifest', `${AUDIO_MANIFEST} can't be read: ${err.message}`, { file: AUDIO_MANIFEST });
+            listed = null;
+        }
+        if (listed) {
+            for (const file of listed) {
+                if (!exists(file)) report('dangling-audio-manifest', `${AUDIO_MANIFEST} lists ${file}, which does not exist`, { file });
+                else if (isEmpty(file)) report('empty-audio-file', `${AUDIO_MANIFEST} lists ${file}, which is empty`, { file });
+            }
+            const listedSet = new Set(listed);
+            for (const hymn of hymns) {
+                // an empty placeholder file isn't a recording to list
+                if (hymn && hymn.audio && exists(hymn.audio) && !isEmpty(hymn.audio) && !listedSet.has(hymn.audio)) {
+                    report('unlisted-audio', `${hymn.audio} exists but ${AUDIO_MANIFEST} doesn't list it`, { hymnId: hymn.id, file: hymn.audio });
+                }
+            }
+        }
+    }
+
+    const byCode = {};
+    for (const { code } of issues) byCode[code] = (byCode[code] || 0) + 1;
+    return {
+        checkedAt: new Date().toISOString(),
+        summary: {
+            hymns: hymns.length,
+            lyricsFiles: lyricsFiles.length,
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length,
+            byCode
+        },
+        issues
+    };
+}
+
+function printSummary(result) {
+    const { summary, issues } = result;
+    for (const issue of issues) {
+        const where = [issue.hymnId !== undefined ? `hymn ${issue.hymnId}` : null, issue.file].filter(Boolean).join(', ');
+        console.log(`${issue.severity.padEnd(7)} ${issue.code.padEnd(22)} ${where ? `${where}: ` : ''}${issue.message}`);
+    }
+    console.log(`\nChecked ${summary.hymns} hymns and ${summary.lyricsFiles} lyrics files: `
+        + `${summary.errors} error(s), ${summary.warnings} warning(s)`);
+    for (const [code, count] of Object.entries(summary.byCode)) console.log(`  ${code}: ${count}`);
+}
+
+function main(argv) {
+    const args = argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+    const strict = args.includes('--strict');
+
+    let result;
+    try {
+        result = validate();
+    } catch (err) {
+        console.error(`Could not validate ${HYMNS_JSON}: ${err.message}`);
+        return 2;
+    }
+
+    if (outFile) fs.writeFileSync(outFile, `${JSON.stringify(result, null, 2)}\n`);
+    if (args.includes('--json')) console.log(JSON.stringify(result, null, 2));
+    else printSummary(result);
+
+    const failed = result.summary.errors > 0 || (strict && result.summary.warnings > 0);
+    return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv);
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/*
+  Tests for the shared lyrics parser (lyrics.js) and tools/validate-data.js.
+  No dependencies: run with `node tools/validate-data.test.js`.
+
+  The validator runs as a child process against a small hymnal written to a
+  temp directory, so its exit codes and flags are checked as a user sees them.
+*/
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseLyrics, sungOrder, sungBlockKeys } = require('../lyrics.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// ---------- Fixtures ----------
+const HOLY = `1 – Holy, Holy, Holy
+
+1
+Holy, holy, holy! Lord God Almighty!
+Early in the morning our song shall rise to Thee;
+
+2
+Holy, holy, holy! all the saints adore Thee,
+Casting down their golden crowns around the glassy sea;
+`;
+
+const REFRAIN_FIRST = `2 – Blessed Assurance
+
+Refrain
+This is my story, this is my song,
+Praising my Savior all the day long.
+
+1
+Blessed assurance, Jesus is mine!
+
+2
+Perfect submission, perfect delight,
+`;
+
+const WRITTEN_OUT_REFRAIN = `3 – Marching On
+
+1
+First stanza
+
+Chorus:
+First refrain
+
+2
+Second stanza
+
+Chorus
+Second refrain
+
+3
+Third stanza
+`;
+
+const UNNUMBERED = `4 – Doxology
+
+Praise God, from whom all blessings flow;
+Praise Him, all creatures here below;
+`;
+
+const OUT_OF_SEQUENCE = `5 – Out of Order
+
+1
+First stanza
+
+3
+Third stanza
+
+stray line
+`;
+
+const codes = (model) => model.issues.map(issue => issue.code);
+
+// ---------- parseLyrics ----------
+test('parses the header and numbered stanzas', () => {
+    const model = parseLyrics(HOLY);
+    assert.deepEqual(model.header, { number: 1, title: 'Holy, Holy, Holy' });
+    assert.equal(model.stanzas.length, 2);
+    assert.deepEqual(model.stanzas.map(s => s.number), [1, 2]);
+    assert.equal(model.stanzas[1].lines[1], 'Casting down their golden crowns around the glassy sea;');
+    assert.equal(model.refrain, null);
+    assert.deepEqual(codes(model), []);
+});
+
+test('accepts CRLF line endings and leading blank lines', () => {
+    const model = parseLyrics(`\r\n\r\n${HOLY.replace(/\n/g, '\r\n')}`);
+    assert.equal(model.header.number, 1);
+    assert.equal(model.stanzas.length, 2);
+    assert.deepEqual(codes(model), []);
+});
+
+test('keeps a refrain printed before stanza 1 and sings it after every stanza', () => {
+    const model = parseLyrics(REFRAIN_FIRST);
+    assert.deepEqual(model.blocks.map(b => b.type), ['refrain', 'stanza', 'stanza']);
+    assert.deepEqual(model.refrain, ['This is my story, this is my song,', 'Praising my Savior all the day long.']);
+    model.stanzas.forEach(stanza => assert.deepEqual(stanza.refrain, model.refrain));
+    assert.deepEqual(codes(model), []);
+});
+
+test('a written-out refrain belongs to the stanza before it and carries on', () => {
+    const model = parseLyrics(WRITTEN_OUT_REFRAIN);
+    assert.deepEqual(model.stanzas.map(s => s.refrain), [['First refrain'], ['Second refrain'], ['Second refrain']]);
+});
+
+test('service music without stanza numbers is one unnumbered stanza', () => {
+    const model = parseLyrics(UNNUMBERED);
+    assert.equal(model.stanzas.length, 1);
+    assert.equal(model.stanzas[0].number, null);
+    assert.deepEqual(codes(model), []);
+});
+
+test('reports out-of-sequence stanzas and stray unnumbered text', () => {
+    const model = parseLyrics(OUT_OF_SEQUENCE);
+    assert.deepEqual(codes(model), ['stanza-sequence', 'unnumbered-text']);
+    assert.match(model.issues[0].message, /Stanza 3 found where stanza 2 was expected/);
+});
+
+test('reports a missing header, empty blocks and no stanzas', () => {
+    assert.deepEqual(codes(parseLyrics('1\nA line\n')), ['missing-header']);
+    assert.deepEqual(codes(parseLyrics('9 – Empty\n\n1\n\n2\nA line\n')), ['empty-stanza']);
+    assert.deepEqual(codes(parseLyrics('9 – Empty\n\nRefrain\n')), ['empty-refrain', 'no-stanzas']);
+    assert.deepEqual(codes(parseLyrics('')), ['missing-header', 'no-stanzas']);
+});
+
+// ---------- sungOrder / sungBlockKeys ----------
+test('sungOrder opens with an early refrain and repeats it after each stanza', () => {
+    const model = parseLyrics(REFRAIN_FIRST);
+    const order = sungOrder(model);
+    assert.deepEqual(order.map(b => b.type), ['refrain', 'stanza', 'refrain', 'stanza', 'refrain']);
+    assert.deepEqual(sungBlockKeys(model, order), ['b0', 's0', 'r0', 's1', 'r1']);
+});
+
+test('sungOrder can skip stanzas while keys stay the same', () => {
+    const model = parseLyrics(WRITTEN_OUT_REFRAIN);
+    const all = sungOrder(model);
+    assert.deepEqual(sungBlockKeys(model, all), ['s0', 'r0', 's1', 'r1', 's2', 'r2']);
+    const some = sungOrder(model, [1, 3]);
+    assert.deepEqual(some.map(b => b.lines[0]), ['First stanza', 'First refrain', 'Third stanza', 'Second refrain']);
+    assert.deepEqual(sungBlockKeys(model, some), ['s0', 'r0', 's2', 'r2']);
+});
+
+test('sungOrder sings unnumbered stanzas whatever the choice', () => {
+    const model = parseLyrics(UNNUMBERED);
+    assert.equal(sungOrder(model, [2]).length, 1);
+});
+
+// ---------- validate-data.js ----------
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// a throwaway copy of the repo layout the validator expects
+function makeHymnal(hymns, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hymn-haven-'));
+    tempDirs.push(dir);
+    fs.mkdirSync(path.join(dir, 'tools'));
+    fs.mkdirSync(path.join(dir, 'data/hymns'), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, 'lyrics.js'), path.join(dir, 'lyrics.js'));
+    fs.copyFileSync(path.join(ROOT, 'tools/validate-data.js'), path.join(dir, 'tools/validate-data.js'));
+    fs.writeFileSync(path.join(dir, 'data/hymns.json'), typeof hymns === 'string' ? hymns : JSON.stringify(hymns));
+    for (const [file, text] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+    return dir;
+}
+
+function validate(dir, ...args) {
+    const result = spawnSync(process.execPath, [path.join(dir, 'tools/validate-data.js'), ...args], { encoding: 'utf8' });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const CLEAN = [
+    { id: 1, title: 'Holy, Holy, Holy!', lyricsFile: 'data/hymns/001.txt' },
+    { id: 2, title: 'Blessed Assurance', lyricsFile: 'data/hymns/002.txt' }
+];
+const CLEAN_FILES = { 'data/hymns/001.txt': HOLY, 'data/hymns/002.txt': REFRAIN_FIRST };
+
+test('validator: a clean hymnal exits 0 with a summary', () => {
+    const dir = makeHymnal(CLEAN, CLEAN_FILES);
+    const { code, stdout } = validate(dir);
+    assert.equal(code, 0);
+    assert.match(stdout, /Checked 2 hymns and 2 lyrics files: 0 error\(s\), 0 warning\(s\)/);
+});
+
+test('validator: warnings pass unless --strict', () => {
+    const dir = makeHymnal(CLEAN, { ...CLEAN_FILES, 'data/hymns/099.txt': UNNUMBERED });
+    const { code, stdout } = validate(dir, '--json');
+    assert.equal(code, 0);
+    const report = JSON.parse(stdout);
+    assert.equal(report.summary.warnings, 1);
+    assert.deepEqual(report.issues.map(i => [i.severity, i.code, i.file]), [['warning', 'orphan-lyrics-file', 'data/hymns/099.txt']]);
+    assert.equal(validate(dir, '--strict').code, 1);
+});
+
+test('validator: errors exit 1 and are reported per hymn and file', () => {
+    const dir = makeHymnal(CLEAN.concat(
+        { id: 2, title: 'Twice' },
+        { id: 5, title: 'Out of Order', lyricsFile: 'data/hymns/005.txt' },
+        { id: 6, title: 'Missing', lyricsFile: 'data/hymns/006.txt' },
+        { title: 'No id' }
+    ), { ...CLEAN_FILES, 'data/hymns/005.txt': OUT_OF_SEQUENCE.replace('5 –', '50 –') });
+    const { code, stdout } = validate(dir, '--json');
+    assert.equal(code, 1);
+    const report = JSON.parse(stdout);
+    const found = report.issues.map(i => `${i.code}:${i.hymnId ?? i.index}`);
+    for (const expected of ['duplicate-id:2', 'no-lyrics:2', 'header-number-mismatch:5', 'stanza-sequence:5',
+        'unnumbered-text:5', 'missing-lyrics-file:6', 'invalid-entry:5']) {
+        assert.ok(found.includes(expected), `expected ${expected} in ${found.join(', ')}`);
+    }
+    assert.equal(report.summary.byCode['stanza-sequence'], 1);
+    assert.equal(report.summary.errors, report.issues.filter(i => i.severity === 'error').length);
+});
+
+test('validator: a title mismatch is a warning, and punctuation does not count', () => {
+    const dir = makeHymnal([{ id: 1, title: 'Holy Holy Holy', lyricsFile: 'data/hymns/001.txt' },
+        { id: 2, title: 'Blessed Hope', lyricsFile: 'data/hymns/002.txt' }], CLEAN_FILES);
+    const report = JSON.parse(validate(dir, '--json').stdout);
+    assert.deepEqual(report.issues.map(i => `${i.code}:${i.hymnId}`), ['header-title-mismatch:2']);
+});
+
+test('validator: translations are checked and bad lyricsFiles entries reported', () => {
+    const dir = makeHymnal([
+        { id: 1, title: 'Holy, Holy, Holy!', lyricsFile: 'data/hymns/001.txt', lyricsFiles: { fr: 'data/hymns/fr/001.txt' } },
+        { id: 2, title: 'Blessed Assurance', lyricsFile: 'data/hymns/002.txt', lyricsFiles: ['data/hymns/fr/002.txt'] },
+        { id: 3, title: 'Marching On', lyricsFile: 'data/hymns/003.txt', lyricsFiles: { FR: 'data/hymns/fr/003.txt', es: '' } }
+    ], {
+        ...CLEAN_FILES,
+        'data/hymns/003.txt': WRITTEN_OUT_REFRAIN,
+        // a translated title is fine; the number must still match
+        'data/hymns/fr/001.txt': HOLY.replace('Holy, Holy, Holy', 'Saint, Saint, Saint').replace('1 –', '11 –')
+    });
+    const { code, stdout } = validate(dir, '--json');
+    assert.equal(code, 1);
+    const report = JSON.parse(stdout);
+    assert.deepEqual(report.issues.map(i => `${i.code}:${i.hymnId}`).sort(), [
+        'header-number-mismatch:1', 'invalid-translation:2', 'invalid-translation:3', 'invalid-translation:3'
+    ]);
+    assert.equal(report.issues[0].file, 'data/hymns/fr/001.txt');
+});
+
+test('validator: data/audio.json must list real files, and every shipped recording', () => {
+    const hymns = [
+        { ...CLEAN[0], audio: 'audio/hymn1.mp3' },
+        { ...CLEAN[1], audio: 'audio/hymn2.mp3' }
+    ];
+    const files = { ...CLEAN_FILES, 'audio/hymn1.mp3': 'ID3', 'audio/hymn2.mp3': 'ID3' };
+    const listed = (manifest) => makeHymnal(hymns, { ...files, 'data/audio.json': manifest });
+
+    assert.equal(validate(listed(JSON.stringify(['audio/hymn1.mp3', 'audio/hymn2.mp3']))).code, 0);
+
+    const report = JSON.parse(validate(listed(JSON.stringify(['audio/hymn1.mp3', 'audio/hymn9.mp3'])), '--json').stdout);
+    assert.deepEqual(report.issues.map(i => [i.severity, i.code, i.file]), [
+        ['error', 'dangling-audio-manifest', 'audio/hymn9.mp3'],
+        ['warning', 'unlisted-audio', 'audio/hymn2.mp3']
+    ]);
+});
+
+test('validator: an empty recording is an error when listed and ignored otherwise', () => {
+    const dir = makeHymnal([
+        { ...CLEAN[0], audio: 'audio/hymn1.mp3' },
+        { ...CLEAN[1], audio: 'audio/hymn2.mp3' }
+    ], { ...CLEAN_FILES, 'audio/hymn1.mp3': '', 'audio/hymn2.mp3': '', 'data/audio.json': '["audio/hymn1.mp3"]' });
+    const { code, stdout } = validate(dir, '--json');
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stdout).issues.map(i => [i.severity, i.code, i.file]), [
+        ['error', 'empty-audio-file', 'audio/hymn1.mp3']
+    ]);
+});
+
+test('validator: an unreadable data/audio.json is an error', () => {
+    for (const manifest of ['{ not json', '{"audio/hymn1.mp3": true}', '[1, 2]']) {
+        const { code, stdout } = validate(makeHymnal(CLEAN, { ...CLEAN_FILES, 'data/audio.json': manifest }), '--json');
+        assert.equal(code, 1);
+        assert.deepEqual(JSON.parse(stdout).issues.map(i => i.code), ['invalid-audio-manifest']);
+    }
+});
+
+test('validator: --out writes the JSON report', () => {
+    const dir = makeHymnal(CLEAN, CLEAN_FILES);
+    const out = path.join(dir, 'report.json');
+    const { code, stdout } = validate(dir, '--out', out);
+    assert.equal(code, 0);
+    assert.match(stdout, /Checked 2 hymns/);
+    const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.deepEqual(report.summary, { hymns: 2, lyricsFiles: 2, errors: 0, warnings: 0, byCode: {} });
+});
+
+test('validator: an unreadable hymns.json exits 2', () => {
+    const dir = makeHymnal('{ not json', {});
+    const { code, stderr } = validate(dir);
+    assert.equal(code, 2);
+    assert.match(stderr, /Could not validate data\/hymns.json/);
+    assert.equal(validate(makeHymnal('{}', {})).code, 2);
+});